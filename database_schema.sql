@@ -1,9 +1,28 @@
 -- PostgreSQL Schema for HistoricalEvents Table
 -- This schema follows the exact specifications provided
+-- Existing databases are upgraded with database_upgrade.sql; keep it in step.
 
 -- Enable UUID extension if not already enabled
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Full-text document for an event: name (weight A), description (B) and the
+-- metadata keys listed below (C). After changing the key list, refresh the stored
+-- vectors with: UPDATE HistoricalEvents SET event_name = event_name;
+CREATE OR REPLACE FUNCTION event_search_vector(name TEXT, description TEXT, metadata JSONB)
+RETURNS tsvector
+LANGUAGE SQL IMMUTABLE
+AS $$
+    SELECT setweight(to_tsvector('english', COALESCE(name, '')), 'A')
+        || setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+        || setweight(to_tsvector('english', concat_ws(' ',
+               metadata ->> 'summary',
+               metadata ->> 'keywords',
+               metadata ->> 'tags',
+               metadata ->> 'location',
+               metadata ->> 'notes'
+           )), 'C')
+$$;
+
 -- Create the HistoricalEvents table
 CREATE TABLE HistoricalEvents (
     event_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -16,6 +35,13 @@ CREATE TABLE HistoricalEvents (
     ) STORED,
     parent_event_id UUID,
     metadata JSONB DEFAULT '{}'::jsonb,
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        event_search_vector(event_name, description, metadata)
+    ) STORED,
+    -- Soft deletion: set when the event is moved to the trash
+    deleted_at TIMESTAMPTZ,
+    -- Parent a child was detached from when that parent was trashed
+    detached_parent_id UUID,
     
     -- Add constraints
     CONSTRAINT fk_parent_event 
@@ -31,3 +57,263 @@ CREATE TABLE HistoricalEvents (
     CONSTRAINT check_positive_duration 
         CHECK (duration_minutes > 0)
 );
+
+-- Indexes backing /api/events/search filters, sorts and full-text queries
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX idx_events_start_date ON HistoricalEvents (start_date, event_id);
+CREATE INDEX idx_events_end_date ON HistoricalEvents (end_date);
+CREATE INDEX idx_events_parent ON HistoricalEvents (parent_event_id);
+CREATE INDEX idx_events_name_trgm ON HistoricalEvents USING GIN (event_name gin_trgm_ops);
+CREATE INDEX idx_events_metadata ON HistoricalEvents USING GIN (metadata jsonb_path_ops);
+CREATE INDEX idx_events_search ON HistoricalEvents USING GIN (search_vector);
+CREATE INDEX idx_events_deleted ON HistoricalEvents (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_events_detached_parent ON HistoricalEvents (detached_parent_id) WHERE detached_parent_id IS NOT NULL;
+
+-- Reject parent links that would make an event its own ancestor. Inserts are
+-- checked too: a multi-row INSERT can name a row inserted earlier in the same
+-- statement as parent, and that row may in turn name the new one. As the new
+-- row is not visible to the walk yet, an ancestor whose parent is the new event
+-- counts as a cycle too. Parent changes take an advisory lock so
+-- concurrent writes cannot combine into a cycle that neither would create alone.
+CREATE OR REPLACE FUNCTION check_event_parent_cycle()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.parent_event_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.parent_event_id = NEW.event_id THEN
+        RAISE EXCEPTION 'Event % cannot be its own parent (hierarchy cycle)', NEW.event_id
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF TG_OP = 'UPDATE' THEN
+        IF NEW.parent_event_id IS NOT DISTINCT FROM OLD.parent_event_id THEN
+            RETURN NEW;
+        END IF;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('HistoricalEvents.hierarchy'));
+
+    IF EXISTS (
+        WITH RECURSIVE ancestors AS (
+            SELECT event_id, parent_event_id, ARRAY[event_id] AS path
+            FROM HistoricalEvents
+            WHERE event_id = NEW.parent_event_id
+
+            UNION ALL
+
+            SELECT e.event_id, e.parent_event_id, a.path || e.event_id
+            FROM HistoricalEvents e
+            JOIN ancestors a ON e.event_id = a.parent_event_id
+            WHERE NOT (e.event_id = ANY(a.path))
+        )
+        SELECT 1 FROM ancestors
+        WHERE event_id = NEW.event_id OR parent_event_id = NEW.event_id
+    ) THEN
+        RAISE EXCEPTION 'Event % cannot be placed under its descendant % (hierarchy cycle)',
+            NEW.event_id, NEW.parent_event_id
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER trg_event_parent_cycle
+    BEFORE INSERT OR UPDATE OF parent_event_id ON HistoricalEvents
+    FOR EACH ROW EXECUTE FUNCTION check_event_parent_cycle();
+
+-- Audit trail: one row per insert, update or delete of an event, numbered per
+-- event. Snapshots omit search_vector. actor and reason come from the
+-- chronologicon.actor / chronologicon.reason settings of the writing transaction.
+CREATE TABLE event_history (
+    history_id BIGSERIAL PRIMARY KEY,
+    event_id UUID NOT NULL,
+    version INTEGER NOT NULL,
+    operation VARCHAR(10) NOT NULL,
+    before_data JSONB,
+    after_data JSONB,
+    changed_fields TEXT[] NOT NULL DEFAULT '{}',
+    actor TEXT,
+    reason TEXT,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT uq_event_history_version UNIQUE (event_id, version),
+    CONSTRAINT check_history_operation
+        CHECK (operation IN ('INSERT', 'UPDATE', 'DELETE'))
+);
+
+CREATE OR REPLACE FUNCTION record_event_history()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    target_id UUID := CASE WHEN TG_OP = 'DELETE' THEN OLD.event_id ELSE NEW.event_id END;
+    before_row JSONB := CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) - 'search_vector' END;
+    after_row JSONB := CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) - 'search_vector' END;
+BEGIN
+    -- Updates that change nothing are not versions
+    IF TG_OP = 'UPDATE' AND before_row = after_row THEN
+        RETURN NULL;
+    END IF;
+
+    -- Serialise writers of the same event until commit so concurrent
+    -- transactions cannot both take MAX(version) + 1
+    PERFORM pg_advisory_xact_lock(hashtext(target_id::text));
+
+    INSERT INTO event_history (
+        event_id, version, operation, before_data, after_data, changed_fields, actor, reason
+    ) VALUES (
+        target_id,
+        COALESCE((SELECT MAX(version) FROM event_history WHERE event_id = target_id), 0) + 1,
+        TG_OP,
+        before_row,
+        after_row,
+        COALESCE((
+            SELECT array_agg(key ORDER BY key)
+            FROM jsonb_each(COALESCE(before_row, '{}'::jsonb)) b
+            FULL JOIN jsonb_each(COALESCE(after_row, '{}'::jsonb)) a USING (key)
+            WHERE b.value IS DISTINCT FROM a.value
+        ), '{}'),
+        NULLIF(current_setting('chronologicon.actor', true), ''),
+        NULLIF(current_setting('chronologicon.reason', true), '')
+    );
+    RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER trg_event_history
+    AFTER INSERT OR UPDATE OR DELETE ON HistoricalEvents
+    FOR EACH ROW EXECUTE FUNCTION record_event_history();
+
+CREATE INDEX idx_event_history_changed_at ON event_history (changed_at);
+
+
+-- Ingestion jobs started through POST /api/events/ingest
+CREATE TABLE ingestion_jobs (
+    job_id VARCHAR(64) PRIMARY KEY,
+    status VARCHAR(20) NOT NULL DEFAULT 'PROCESSING',
+    file_path TEXT,
+    total_lines INTEGER NOT NULL DEFAULT 0,
+    processed_lines INTEGER NOT NULL DEFAULT 0,
+    inserted_lines INTEGER NOT NULL DEFAULT 0,
+    updated_lines INTEGER NOT NULL DEFAULT 0,
+    skipped_lines INTEGER NOT NULL DEFAULT 0,
+    error_lines INTEGER NOT NULL DEFAULT 0,
+    warning_lines INTEGER NOT NULL DEFAULT 0,
+    bytes_total BIGINT NOT NULL DEFAULT 0,
+    bytes_processed BIGINT NOT NULL DEFAULT 0,
+    options JSONB DEFAULT '{}'::jsonb,
+    start_time TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    end_time TIMESTAMPTZ,
+    -- Touched while the job runs; stale PROCESSING jobs were interrupted
+    heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT check_ingestion_status
+        CHECK (status IN ('PROCESSING', 'COMPLETED', 'FAILED'))
+);
+
+CREATE INDEX idx_ingestion_jobs_start_time ON ingestion_jobs (start_time DESC);
+CREATE INDEX idx_ingestion_jobs_status ON ingestion_jobs (status);
+
+-- Per-line errors and warnings for an ingestion job (line_number is NULL for file-level errors)
+CREATE TABLE ingestion_errors (
+    error_id BIGSERIAL PRIMARY KEY,
+    job_id VARCHAR(64) NOT NULL,
+    line_number INTEGER,
+    code VARCHAR(40),
+    severity VARCHAR(10) NOT NULL DEFAULT 'error',
+    column_name TEXT,
+    message TEXT NOT NULL,
+    raw_value TEXT,
+    raw_record JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_ingestion_job
+        FOREIGN KEY (job_id)
+        REFERENCES ingestion_jobs(job_id)
+        ON DELETE CASCADE
+);
+
+CREATE INDEX idx_ingestion_errors_job_line ON ingestion_errors (job_id, line_number);
+
+-- Named column mapping profiles referenced by ingestion jobs
+CREATE TABLE ingestion_profiles (
+    profile_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    format VARCHAR(20),
+    has_header BOOLEAN,
+    column_order JSONB,
+    columns JSONB NOT NULL DEFAULT '{}'::jsonb,
+    unmapped_columns VARCHAR(20) NOT NULL DEFAULT 'metadata',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT check_unmapped_columns
+        CHECK (unmapped_columns IN ('metadata', 'ignore'))
+);
+
+-- Named gap severity policies. buckets is an ordered array of
+-- { "label", "maxMinutes" } with only the last bucket open ended (maxMinutes null);
+-- the built-in "default" policy is not stored. Names are unique regardless of case.
+CREATE TABLE gap_severity_policies (
+    policy_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    buckets JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT check_buckets_array
+        CHECK (jsonb_typeof(buckets) = 'array' AND jsonb_array_length(buckets) > 0)
+);
+
+CREATE UNIQUE INDEX idx_gap_severity_policies_name ON gap_severity_policies (LOWER(name));
+
+-- Working calendars for measuring gaps in working time. working_hours maps
+-- weekday names to arrays of { "start", "end" } local times (HH:mm); weekdays
+-- without periods are non-working. holidays is an array of YYYY-MM-DD dates and
+-- time_zone an IANA zone name. Names are unique regardless of case.
+CREATE TABLE working_calendars (
+    calendar_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    working_hours JSONB NOT NULL DEFAULT '{}'::jsonb,
+    holidays JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_working_calendars_name ON working_calendars (LOWER(name));
+
+-- Tags for categorising events; names are unique regardless of case
+CREATE TABLE tags (
+    tag_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    color VARCHAR(7),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT check_tag_color
+        CHECK (color IS NULL OR color ~ '^#[0-9A-Fa-f]{6}$')
+);
+
+CREATE UNIQUE INDEX idx_tags_name ON tags (LOWER(name));
+
+-- Many-to-many links between events and tags
+CREATE TABLE event_tags (
+    event_id UUID NOT NULL REFERENCES HistoricalEvents(event_id) ON DELETE CASCADE,
+    tag_id UUID NOT NULL REFERENCES tags(tag_id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (event_id, tag_id)
+);
+
+CREATE INDEX idx_event_tags_tag ON event_tags (tag_id, event_id);
@@ -47,6 +47,33 @@ const getClient = async () => {
   return await pool.connect();
 };
 
+// Run fn(client) inside a transaction and return its result. actor and reason
+// are picked up by the event_history trigger for every change made inside it.
+const transaction = async (fn, { actor, reason } = {}) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { actor, reason }, true);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Set the actor and reason recorded in event_history for a client, either for
+// the current transaction (local) or until cleared with empty values
+const setAuditContext = async (client, { actor, reason } = {}, local = false) => {
+  await client.query(
+    "SELECT set_config('chronologicon.actor', $1, $3), set_config('chronologicon.reason', $2, $3)",
+    [actor || '', reason || '', local]
+  );
+};
+
 // Close all connections in the pool
 const closePool = async () => {
   await pool.end();
@@ -56,6 +83,8 @@ module.exports = {
   pool,
   query,
   getClient,
+  transaction,
+  setAuditContext,
   testConnection,
   closePool
 };
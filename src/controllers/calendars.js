@@ -0,0 +1,77 @@
+const { WorkingCalendar } = require('../models/WorkingCalendar');
+const { NotFoundError, UnprocessableEntityError } = require('../utils/errors');
+
+// List all working calendars
+const getAllCalendars = async () => {
+  const calendars = await WorkingCalendar.list();
+  return calendars.map(calendar => calendar.toObject());
+};
+
+// Load a calendar by ID or name, throwing 404 when it does not exist
+const findCalendar = async (idOrName) => {
+  const calendar = await WorkingCalendar.find(idOrName);
+  if (!calendar) {
+    throw new NotFoundError(`Calendar ${idOrName} not found`);
+  }
+  return calendar;
+};
+
+// Calendar a gap request asked for, or null to measure wall-clock time.
+// Unknown calendars are rejected as invalid input rather than as a missing resource.
+const resolveCalendar = async (idOrName) => {
+  if (!idOrName) {
+    return null;
+  }
+  const calendar = await WorkingCalendar.find(idOrName);
+  if (!calendar) {
+    throw new UnprocessableEntityError(`Unknown calendar: ${idOrName}`);
+  }
+  return calendar;
+};
+
+// Get a specific calendar
+const getCalendar = async (idOrName) => {
+  return (await findCalendar(idOrName)).toObject();
+};
+
+// Create a new calendar (body already validated against calendarSchema)
+const createCalendar = async (calendarData) => {
+  const calendar = await WorkingCalendar.create(calendarData);
+  return calendar.toObject();
+};
+
+// Replace an existing calendar
+const updateCalendar = async (idOrName, calendarData) => {
+  const calendar = await findCalendar(idOrName);
+  await calendar.update(calendarData);
+  return calendar.toObject();
+};
+
+// Delete a calendar
+const deleteCalendar = async (idOrName) => {
+  const calendar = await findCalendar(idOrName);
+  await calendar.delete();
+  return true;
+};
+
+// Working minutes between two instants under a calendar
+const getWorkingTime = async (idOrName, { start, end }) => {
+  const calendar = await findCalendar(idOrName);
+  return {
+    calendarId: calendar.calendarId,
+    start,
+    end,
+    workingMinutes: calendar.workingMinutes(start, end)
+  };
+};
+
+module.exports = {
+  getAllCalendars,
+  findCalendar,
+  resolveCalendar,
+  getCalendar,
+  createCalendar,
+  updateCalendar,
+  deleteCalendar,
+  getWorkingTime
+};
@@ -1,86 +1,118 @@
-const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
-const { EventCollection } = require('../models/Event');
+const { EventCollection, Event } = require('../models/Event');
+const { EventHistory } = require('../models/EventHistory');
+const { resolvePolicy } = require('./gapPolicies');
+const { NotFoundError, ConflictError, UnprocessableEntityError } = require('../utils/errors');
+const { resolveFormat } = require('../utils/ingestionFormats');
+const { toEventData } = require('../utils/columnMapping');
+const { decodeCursor } = require('../utils/cursor');
 
 // Global event collection instance
 let eventCollection = new EventCollection();
 
-// Load sample data on startup
+// Load sample data on startup using the same format registry as /api/events/ingest
 const loadSampleData = async () => {
   const csvPath = path.join(__dirname, '../../sample-data.csv');
   
-  if (fs.existsSync(csvPath)) {
-    const events = [];
-    
-    fs.createReadStream(csvPath)
-      .pipe(csv())
-      .on('data', (row) => {
-        try {
-          // Skip malformed rows
-          if (row.eventId && row.eventName && row.startDate && row.endDate) {
-            // Clean up the data
-            const cleanRow = {
-              eventId: row.eventId.trim(),
-              eventName: row.eventName.trim(),
-              startDate: row.startDate.trim(),
-              endDate: row.endDate.trim(),
-              parentId: row.parentId && row.parentId !== 'NULL' ? row.parentId.trim() : null,
-              description: row.description ? row.description.trim() : '',
-              metadata: {
-                source: 'sample-data.csv'
-              }
-            };
-            
-            events.push(cleanRow);
-          }
-        } catch (error) {
-          console.warn(`Skipping malformed row: ${JSON.stringify(row)}`);
-        }
-      })
-      .on('end', async () => {
-        // Add valid events to collection
-        let addedCount = 0;
-        for (const eventData of events) {
-          try {
-            await eventCollection.addEvent(eventData);
-            addedCount++;
-          } catch (error) {
-            console.warn(`Failed to add event ${eventData.eventId}: ${error.message}`);
-          }
-        }
-        
-        console.log(`Loaded ${addedCount} events from sample data`);
-      });
+  if (!fs.existsSync(csvPath)) {
+    return;
+  }
+  
+  const format = await resolveFormat({ filePath: csvPath });
+  const input = fs.createReadStream(csvPath, { encoding: 'utf8' });
+  let addedCount = 0;
+  
+  for await (const { lineNumber, record, error } of format.parse(input)) {
+    try {
+      if (error) {
+        throw error;
+      }
+      
+      // Extra columns such as researchValue are kept in metadata
+      const eventData = toEventData(record);
+      eventData.metadata = {
+        ...eventData.metadata,
+        source: 'sample-data.csv'
+      };
+      
+      await eventCollection.addEvent(eventData);
+      addedCount++;
+    } catch (rowError) {
+      console.warn(`Failed to add sample row at line ${lineNumber}: ${rowError.message}`);
+    }
   }
+  
+  console.log(`Loaded ${addedCount} events from sample data`);
 };
 
 // Initialize sample data
-loadSampleData();
+loadSampleData().catch(error => {
+  console.error('Failed to load sample data:', error.message);
+});
 
-// Get all events with sorting and pagination
+// Get all events with sorting and pagination (offset or cursor based)
 const getAllEvents = async (query) => {
-  const { sortBy = 'startDate', order = 'asc', limit, offset } = query;
-  let events = await eventCollection.getAllEvents();
-  
-  // Sort events
-  if (sortBy === 'startDate') {
-    events = events.sort((a, b) => {
-      const diff = a.startDate.diff(b.startDate);
-      return order === 'desc' ? -diff : diff;
-    });
-  }
-  
-  // Apply pagination
-  const startIndex = offset ? parseInt(offset) : 0;
-  const endIndex = limit ? startIndex + parseInt(limit) : events.length;
-  const paginatedEvents = events.slice(startIndex, endIndex);
+  const { order = 'asc', limit, offset = 0 } = query;
+  const cursor = query.cursor ? decodeCursor(query.cursor, `start_date:${order}`) : undefined;
+  const { events, total, nextCursor, prevCursor } = await eventCollection.searchEvents({
+    sortBy: 'start_date',
+    sortOrder: order,
+    limit,
+    offset,
+    cursor
+  });
   
   return {
-    events: paginatedEvents.map(event => event.toObject()),
-    total: events.length,
-    limit: limit ? parseInt(limit) : events.length,
-    offset: startIndex
+    events: events.map(event => event.toObject()),
+    total,
+    limit: limit !== undefined ? limit : total,
+    offset: cursor ? undefined : offset,
+    nextCursor,
+    prevCursor
+  };
+};
+
+// Search events by full-text query, name, date bounds, parent, metadata and tags.
+// Pages by cursor when one is given, otherwise by 1-based page number.
+const searchEvents = async (query) => {
+  const { page, limit, sortBy, sortOrder } = query;
+  const cursor = query.cursor ? decodeCursor(query.cursor, `${sortBy}:${sortOrder}`) : undefined;
+  const { events, total, nextCursor, prevCursor, hits } = await eventCollection.searchEvents({
+    q: query.q,
+    name: query.name,
+    startDateAfter: query.start_date_after,
+    startDateBefore: query.start_date_before,
+    endDateAfter: query.end_date_after,
+    endDateBefore: query.end_date_before,
+    parentId: query.parent_id === 'null' ? null : query.parent_id,
+    metadata: query.metadata,
+    tags: query.tags,
+    tagMatch: query.tagMatch,
+    sortBy,
+    sortOrder,
+    limit,
+    offset: cursor ? 0 : (page - 1) * limit,
+    cursor
+  });
+
+  return {
+    totalEvents: total,
+    page: cursor ? undefined : page,
+    limit,
+    nextCursor,
+    prevCursor,
+    events: events.map((event, index) => ({
+      event_id: event.eventId,
+      event_name: event.eventName,
+      ...(hits && {
+        rank: hits[index].rank,
+        highlights: {
+          event_name: hits[index].highlights.eventName,
+          description: hits[index].highlights.description
+        }
+      })
+    }))
   };
 };
 
@@ -88,58 +120,233 @@ const getAllEvents = async (query) => {
 const getEventById = async (id) => {
   const event = await eventCollection.getEvent(id);
   if (!event) {
-    throw new Error('Event not found');
+    throw new NotFoundError('Event not found');
   }
   return event.toObject();
 };
 
-// Create new event
-const createEvent = async (eventData) => {
-  const event = await eventCollection.addEvent(eventData);
+// Create new event. actor is recorded in the event history and containment
+// picks the hierarchy containment policy.
+const createEvent = async (eventData, { actor, containment } = {}) => {
+  const validation = Event.validate(eventData);
+  if (!validation.isValid) {
+    throw new UnprocessableEntityError(validation.error);
+  }
+  
+  if (eventData.eventId && await Event.findById(eventData.eventId, { includeDeleted: true })) {
+    throw new ConflictError(`Event with ID ${eventData.eventId} already exists`);
+  }
+  
+  const event = await eventCollection.addEvent(eventData, { actor, containment });
   return event.toObject();
 };
 
+// Replace existing event (fields missing from the payload are reset to their defaults)
+const replaceEvent = async (id, eventData, options = {}) => {
+  return await updateEvent(id, {
+    parentId: null,
+    description: '',
+    metadata: {},
+    ...eventData
+  }, options);
+};
+
 // Update existing event
-const updateEvent = async (id, eventData) => {
+const updateEvent = async (id, eventData, { actor, containment } = {}) => {
   const existingEvent = await eventCollection.getEvent(id);
   if (!existingEvent) {
-    throw new Error('Event not found');
+    throw new NotFoundError('Event not found');
   }
   
   const updatedEvent = await existingEvent.update({
     ...eventData,
     eventId: id
-  });
+  }, { actor, containment });
   
   return updatedEvent.toObject();
 };
 
-// Delete event
-const deleteEvent = async (id) => {
+// Move event to the trash
+const deleteEvent = async (id, { actor } = {}) => {
   const event = await eventCollection.getEvent(id);
   if (!event) {
-    throw new Error('Event not found');
+    throw new NotFoundError('Event not found');
   }
   
-  await event.delete();
+  await event.delete({ actor });
+  return true;
+};
+
+// Move an event and its subtree under a new parent (null makes it a root)
+const moveEvent = async (id, parentId, { actor } = {}) => {
+  const event = await eventCollection.getEvent(id);
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+
+  await event.moveTo(parentId, { actor });
+  return event.toObject();
+};
+
+// Make an event a root, keeping its own subtree
+const detachEvent = async (id, options = {}) => {
+  return await moveEvent(id, null, options);
+};
+
+// Delete an event with its subtree ('cascade') or promote its children ('promote')
+const deleteEventSubtree = async (id, mode, { actor } = {}) => {
+  const event = await eventCollection.getEvent(id);
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+
+  const { deleted, promoted } = await event.deleteSubtree({ mode, actor });
+  return { eventId: id, mode, deleted, promoted };
+};
+
+// List events in the trash, most recently deleted first
+const getTrash = async ({ limit, offset }) => {
+  const { events, total } = await eventCollection.getDeletedEvents({ limit, offset });
+  return {
+    events: events.map(event => event.toObject()),
+    total,
+    limit,
+    offset
+  };
+};
+
+// Load an event from the trash, throwing 404 when it is not there
+const findTrashedEvent = async (id) => {
+  const event = await Event.findById(id, { includeDeleted: true });
+  if (!event || !event.deletedAt) {
+    throw new NotFoundError('Event not found in trash');
+  }
+  return event;
+};
+
+// Take an event out of the trash, re-attaching its detached children
+const restoreEvent = async (id, { actor } = {}) => {
+  const event = await findTrashedEvent(id);
+  const { relinked, restoredDescendants, detachedFrom } = await event.restoreFromTrash({ actor });
+  return { event: event.toObject(), relinkedChildren: relinked, restoredDescendants, detachedFromParent: detachedFrom };
+};
+
+// Permanently delete an event from the trash
+const purgeEvent = async (id, { actor } = {}) => {
+  const event = await findTrashedEvent(id);
+  await event.purge({ actor });
   return true;
 };
 
+// Get the recorded versions of an event, newest first. Deleted events keep
+// their history, so this only fails when nothing was ever recorded.
+const getEventHistory = async (id, { limit, offset }) => {
+  const { entries, total } = await EventHistory.list(id, { limit, offset });
+  if (total === 0 && !await eventCollection.getEvent(id)) {
+    throw new NotFoundError('Event not found');
+  }
+
+  return {
+    eventId: id,
+    history: entries.map(entry => entry.toObject()),
+    total,
+    limit,
+    offset
+  };
+};
+
+// Restore an event to the state recorded by one of its versions
+const restoreEventVersion = async (id, version, { actor, containment } = {}) => {
+  const entry = await EventHistory.find(id, version);
+  if (!entry) {
+    throw new NotFoundError(`Version ${version} of event ${id} not found`);
+  }
+  if (!entry.after) {
+    throw new UnprocessableEntityError(`Version ${version} records a deletion; restore an earlier version`);
+  }
+
+  const event = await Event.restore(entry.after, { containment, actor, reason: `Restored version ${version}` });
+  return event.toObject();
+};
+
 // Get child events
 const getChildEvents = async (id) => {
+  const parent = await eventCollection.getEvent(id);
+  if (!parent) {
+    throw new NotFoundError('Event not found');
+  }
+  
   const childEvents = await eventCollection.getChildEvents(id);
   return childEvents.map(event => event.toObject());
 };
 
+// Load an event, throwing 404 when it does not exist
+const findEvent = async (id) => {
+  const event = await eventCollection.getEvent(id);
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+  return event;
+};
+
+// Breadcrumb of an event's ancestors, root first
+const getAncestors = async (id) => {
+  await findEvent(id);
+  const ancestors = await eventCollection.getAncestors(id);
+  return {
+    eventId: id,
+    ancestors: ancestors.map(({ event, depth }) => ({ ...event.toObject(), depth })),
+    total: ancestors.length
+  };
+};
+
+// Flat list of an event's descendants with their depth below it
+const getDescendants = async (id, { maxDepth }) => {
+  await findEvent(id);
+  const descendants = await eventCollection.getDescendants(id, { maxDepth });
+  return {
+    eventId: id,
+    descendants: descendants.map(({ event, depth }) => ({ ...event.toObject(), depth })),
+    total: descendants.length
+  };
+};
+
+// Events sharing an event's parent
+const getSiblings = async (id) => {
+  const event = await findEvent(id);
+  const siblings = await eventCollection.getSiblings(id);
+  return {
+    eventId: id,
+    parentId: event.parentId || null,
+    siblings: siblings.map(sibling => sibling.toObject()),
+    total: siblings.length
+  };
+};
+
+// Root-to-leaf paths passing through an event
+const getLineage = async (id) => {
+  await findEvent(id);
+  const paths = await eventCollection.getLineage(id);
+  return {
+    eventId: id,
+    paths: paths.map(path => path.map(event => event.toObject())),
+    total: paths.length
+  };
+};
+
 // Get events in date range
 const getEventsByDateRange = async (startDate, endDate) => {
   const events = await eventCollection.getEventsByDateRange(startDate, endDate);
   return events.map(event => event.toObject());
 };
 
-// Get event collection statistics
-const getStatistics = async () => {
-  return await eventCollection.getStatistics();
+// Get event collection statistics, with gaps labelled by a severity policy
+const getStatistics = async ({ severityPolicy } = {}) => {
+  const policy = await resolvePolicy(severityPolicy);
+  return {
+    ...await eventCollection.getStatistics({ severityBuckets: policy.buckets }),
+    severityPolicy: policy.name
+  };
 };
 
 // Get the event collection instance (for sharing with other controllers)
@@ -149,11 +356,25 @@ const getEventCollection = () => {
 
 module.exports = {
   getAllEvents,
+  searchEvents,
   getEventById,
   createEvent,
+  replaceEvent,
   updateEvent,
   deleteEvent,
+  moveEvent,
+  detachEvent,
+  deleteEventSubtree,
+  getTrash,
+  restoreEvent,
+  purgeEvent,
+  getEventHistory,
+  restoreEventVersion,
   getChildEvents,
+  getAncestors,
+  getDescendants,
+  getSiblings,
+  getLineage,
   getEventsByDateRange,
   getStatistics,
   getEventCollection
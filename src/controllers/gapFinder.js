@@ -1,170 +1,236 @@
 const { getEventCollection } = require('./events');
+const { resolvePolicy } = require('./gapPolicies');
+const { resolveCalendar } = require('./calendars');
+const { NotFoundError, UnprocessableEntityError } = require('../utils/errors');
+const { decodeCursor, paginateList } = require('../utils/cursor');
+const { severityBreakdown } = require('../utils/gapDetection');
+const { applyChanges, diffGaps } = require('../utils/gapSimulation');
 
-// Get all temporal gaps with filtering
-const findTemporalGaps = async (query) => {
-  const { minGapMinutes = 0, severity, limit } = query;
+// Largest gaps first; ties by gap start, then by the event before the gap
+const GAP_SORT = 'gapMinutes:desc';
+
+const gapKey = (gap) => [
+  gap.gapMinutes,
+  new Date(gap.gapStart).toISOString(),
+  gap.beforeEvent ? gap.beforeEvent.eventId : ''
+];
+
+const compareGapKeys = ([minutesA, startA, idA], [minutesB, startB, idB]) => {
+  if (minutesA !== minutesB) return minutesB - minutesA;
+  if (startA !== startB) return startA < startB ? -1 : 1;
+  if (idA !== idB) return idA < idB ? -1 : 1;
+  return 0;
+};
+
+// Event scope of a gap query (see gapScope). An unknown rootEventId is rejected
+// rather than reported as a scope without gaps.
+const resolveGapScope = async ({ metadata, tags, tagMatch, rootEventId, eventIds } = {}) => {
+  if (rootEventId && !(await getEventCollection().getEvent(rootEventId))) {
+    throw new UnprocessableEntityError(`Unknown root event ${rootEventId}`);
+  }
+  return { metadata, tags, tagMatch, rootEventId, eventIds };
+};
+
+// Resolve a gap query's severity policy, calendar and scope, then build a report
+// from the gaps found with report(gaps, policy, applied): once over the whole
+// scope, or once per group when partitionBy is given, giving { partitionBy,
+// partitions: [{ partition, eventCount, ...report }] }. Either way the result
+// names what was applied ({ severityPolicy, calendarId }).
+const buildGapReport = async (query, minGapMinutes, report) => {
   const eventCollection = getEventCollection();
-  
-  let gaps = await eventCollection.findTemporalGaps(parseInt(minGapMinutes));
-  
-  // Filter by severity if specified
-  if (severity) {
-    gaps = gaps.filter(gap => gap.severity === severity);
+  const policy = await resolvePolicy(query.severityPolicy);
+  const calendar = await resolveCalendar(query.calendarId);
+  const options = { ...await resolveGapScope(query), severityBuckets: policy.buckets, calendar };
+  const applied = { severityPolicy: policy.name, calendarId: calendar ? calendar.calendarId : null };
+
+  if (!query.partitionBy) {
+    const gaps = await eventCollection.findTemporalGaps(minGapMinutes, options);
+    return { ...await report(gaps, policy, applied), ...applied };
   }
-  
-  // Apply limit if specified
-  if (limit) {
-    gaps = gaps.slice(0, parseInt(limit));
+
+  const groups = await eventCollection.findPartitionedGaps(minGapMinutes, query.partitionBy, options);
+  const partitions = [];
+  for (const { partition, eventCount, gaps } of groups) {
+    partitions.push({ partition, eventCount, ...await report(gaps, policy, applied) });
   }
-  
-  return {
-    gaps,
-    total: gaps.length,
-    summary: {
-      critical: gaps.filter(g => g.severity === 'critical').length,
-      high: gaps.filter(g => g.severity === 'high').length,
-      medium: gaps.filter(g => g.severity === 'medium').length,
-      low: gaps.filter(g => g.severity === 'low').length
+  return { partitionBy: query.partitionBy, partitions, ...applied };
+};
+
+// Get all temporal gaps with filtering. The scope parameters (metadata, tags,
+// rootEventId, eventIds) limit the events gaps are measured between, and
+// partitionBy reports each group separately. severityPolicy names the policy
+// labelling gaps and severity must be one of its labels. calendarId measures gaps
+// in that calendar's working time. limit pages the list (or caps each partition);
+// pass the returned nextCursor/prevCursor as cursor to move between pages.
+const findTemporalGaps = async (query) => {
+  const { minGapMinutes = 0, severity, limit } = query;
+  const cursor = query.cursor ? decodeCursor(query.cursor, GAP_SORT) : undefined;
+
+  return buildGapReport(query, parseInt(minGapMinutes), (allGaps, policy) => {
+    if (severity && !policy.labels.includes(severity)) {
+      throw new UnprocessableEntityError(
+        `Unknown severity ${severity} for policy ${policy.name}; expected one of ${policy.labels.join(', ')}`
+      );
     }
-  };
+
+    // Filter by severity if specified
+    const gaps = severity ? allGaps.filter(gap => gap.severity === severity) : allGaps;
+
+    gaps.sort((a, b) => compareGapKeys(gapKey(a), gapKey(b)));
+    const { page, nextCursor, prevCursor } = paginateList(gaps, {
+      limit: limit ? parseInt(limit) : undefined,
+      cursor,
+      sort: GAP_SORT,
+      keyOf: gapKey,
+      compare: compareGapKeys
+    });
+
+    return {
+      gaps: page,
+      total: gaps.length,
+      ...(!query.partitionBy && { nextCursor, prevCursor }),
+      summary: severityBreakdown(gaps.map(gap => gap.gapMinutes), policy.buckets)
+    };
+  });
 };
 
-// Find critical gaps only
-const findCriticalGaps = async () => {
-  const eventCollection = getEventCollection();
-  const gaps = (await eventCollection.findTemporalGaps(0))
-    .filter(gap => gap.severity === 'critical');
-  
+// Find the gaps in the most severe bucket of a severity policy (critical by
+// default), optionally scoped, partitioned or measured in a calendar's working time
+const findCriticalGaps = async (query = {}) => buildGapReport(query, 0, (allGaps, policy) => {
+  const severity = policy.labels[policy.labels.length - 1];
+  const gaps = allGaps.filter(gap => gap.severity === severity);
+
   return {
     gaps,
     total: gaps.length,
-    message: 'Critical temporal gaps found'
+    severity,
+    message: `${severity[0].toUpperCase()}${severity.slice(1)} temporal gaps found`
   };
-};
+});
 
-// Detailed gap analysis
-const analyzeGaps = async () => {
+// Detailed gap analysis, with gaps labelled by a severity policy and optionally
+// scoped, partitioned or measured in a calendar's working time
+const analyzeGaps = async (query = {}) => {
   const eventCollection = getEventCollection();
-  const gaps = await eventCollection.findTemporalGaps(0);
-  const events = await eventCollection.getAllEvents();
-  
-  // Calculate gap statistics
-  const gapStats = {
-    totalGaps: gaps.length,
-    totalGapMinutes: gaps.reduce((sum, gap) => sum + gap.gapMinutes, 0),
-    averageGapMinutes: gaps.length > 0 ? gaps.reduce((sum, gap) => sum + gap.gapMinutes, 0) / gaps.length : 0,
-    maxGapMinutes: gaps.length > 0 ? Math.max(...gaps.map(gap => gap.gapMinutes)) : 0,
-    minGapMinutes: gaps.length > 0 ? Math.min(...gaps.map(gap => gap.gapMinutes)) : 0,
-    severityBreakdown: {
-      critical: gaps.filter(g => g.severity === 'critical').length,
-      high: gaps.filter(g => g.severity === 'high').length,
-      medium: gaps.filter(g => g.severity === 'medium').length,
-      low: gaps.filter(g => g.severity === 'low').length
-    }
-  };
-  
-  // Find events with most gaps
-  const eventGapCounts = new Map();
-  gaps.forEach(gap => {
-    const beforeId = gap.beforeEvent.eventId;
-    const afterId = gap.afterEvent.eventId;
-    
-    eventGapCounts.set(beforeId, (eventGapCounts.get(beforeId) || 0) + 1);
-    eventGapCounts.set(afterId, (eventGapCounts.get(afterId) || 0) + 1);
+
+  return buildGapReport(query, 0, async (gaps, policy, applied) => {
+    // Calculate gap statistics
+    const gapStats = {
+      totalGaps: gaps.length,
+      totalGapMinutes: gaps.reduce((sum, gap) => sum + gap.gapMinutes, 0),
+      averageGapMinutes: gaps.length > 0 ? gaps.reduce((sum, gap) => sum + gap.gapMinutes, 0) / gaps.length : 0,
+      maxGapMinutes: gaps.length > 0 ? Math.max(...gaps.map(gap => gap.gapMinutes)) : 0,
+      minGapMinutes: gaps.length > 0 ? Math.min(...gaps.map(gap => gap.gapMinutes)) : 0,
+      ...applied,
+      severityBreakdown: severityBreakdown(gaps.map(gap => gap.gapMinutes), policy.buckets)
+    };
+
+    // Find events with most gaps
+    const eventGapCounts = new Map();
+    gaps.forEach(gap => {
+      const beforeId = gap.beforeEvent.eventId;
+      const afterId = gap.afterEvent.eventId;
+
+      eventGapCounts.set(beforeId, (eventGapCounts.get(beforeId) || 0) + 1);
+      eventGapCounts.set(afterId, (eventGapCounts.get(afterId) || 0) + 1);
+    });
+
+    const eventsWithMostGaps = await Promise.all(
+      Array.from(eventGapCounts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(async ([eventId, count]) => ({
+          eventId,
+          gapCount: count,
+          event: (await eventCollection.getEvent(eventId))?.toObject()
+        }))
+    );
+
+    return {
+      analysis: gapStats,
+      eventsWithMostGaps,
+      recommendations: generateGapRecommendations(gaps, policy.buckets)
+    };
   });
-  
-  const eventsWithMostGaps = await Promise.all(
-    Array.from(eventGapCounts.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 10)
-      .map(async ([eventId, count]) => ({
-        eventId,
-        gapCount: count,
-        event: (await eventCollection.getEvent(eventId))?.toObject()
-      }))
-  );
-  
-  return {
-    analysis: gapStats,
-    eventsWithMostGaps,
-    recommendations: generateGapRecommendations(gaps)
-  };
 };
 
-// Simulate gap filling
-const simulateGapFilling = async (simulationData) => {
-  const { eventId, newStartDate, newEndDate } = simulationData;
+// What-if gap analysis, done in memory: the scoped events are loaded, the
+// proposed changes applied to copies of them and the gaps before and after
+// compared. Nothing is written. changes holds moves ([{ eventId, startDate?,
+// endDate? }]), inserts (new event data) and deletions (event IDs); options are
+// those of the gap reports (scope, severityPolicy, calendarId, minGapMinutes).
+const simulateGapFilling = async ({ moves = [], inserts = [], deletions = [] }, options = {}) => {
   const eventCollection = getEventCollection();
-  
-  if (!eventId || !newStartDate || !newEndDate) {
-    throw new Error('Missing required fields: eventId, newStartDate, newEndDate');
-  }
-  
-  const event = await eventCollection.getEvent(eventId);
-  if (!event) {
-    throw new Error('Event not found');
-  }
-  
-  // Create a temporary event with new dates
-  const tempEvent = {
-    eventId: eventId + '_temp',
-    eventName: event.eventName,
-    startDate: newStartDate,
-    endDate: newEndDate,
-    parentId: event.parentId,
-
-    description: event.description
-  };
-  
-  // Calculate gaps with the new event
-  const originalGaps = eventCollection.findTemporalGaps(0);
-  const { EventCollection } = require('../models/Event');
-  const tempCollection = new EventCollection();
-  
-  // Add all events except the one being modified
-  eventCollection.getAllEvents().forEach(e => {
-    if (e.eventId !== eventId) {
-      tempCollection.addEvent(e.toObject());
+  const policy = await resolvePolicy(options.severityPolicy);
+  const calendar = await resolveCalendar(options.calendarId);
+  const events = await eventCollection.findGapEvents(await resolveGapScope(options));
+
+  // Moving or deleting an event that does not exist is a 404; one that merely
+  // lies outside the scope is rejected by applyChanges
+  const inScope = new Set(events.map(event => event.eventId));
+  for (const eventId of new Set([...moves.map(move => move.eventId), ...deletions])) {
+    if (!inScope.has(eventId) && !(await eventCollection.getEvent(eventId))) {
+      throw new NotFoundError(`Event ${eventId} not found`);
     }
+  }
+  const proposed = applyChanges(events, { moves, inserts, deletions });
+
+  const minGapMinutes = parseInt(options.minGapMinutes) || 0;
+  const gapOptions = { severityBuckets: policy.buckets, calendar };
+  const before = eventCollection.gapsBetween(events, minGapMinutes, gapOptions);
+  const after = eventCollection.gapsBetween(proposed, minGapMinutes, gapOptions);
+  const describe = (gaps) => ({
+    gaps,
+    total: gaps.length,
+    totalGapMinutes: gaps.reduce((sum, gap) => sum + gap.gapMinutes, 0),
+    summary: severityBreakdown(gaps.map(gap => gap.gapMinutes), policy.buckets)
   });
-  
-  // Add the temporary event
-  tempCollection.addEvent(tempEvent);
-  
-  const newGaps = tempCollection.findTemporalGaps(0);
-  
-  // Compare gaps
-  const gapComparison = {
-    originalGaps: originalGaps.length,
-    newGaps: newGaps.length,
-    gapDifference: newGaps.length - originalGaps.length,
-    affectedGaps: findAffectedGaps(originalGaps, newGaps, eventId)
-  };
-  
+
   return {
-    simulation: gapComparison,
-    message: 'Gap simulation completed'
+    before: describe(before),
+    after: describe(after),
+    diff: diffGaps(before, after),
+    changes: { moved: moves.length, inserted: inserts.length, deleted: deletions.length },
+    severityPolicy: policy.name,
+    calendarId: calendar ? calendar.calendarId : null,
+    message: 'Gap simulation completed; no events were changed'
   };
 };
 
-// Helper function to generate gap recommendations
-function generateGapRecommendations(gaps) {
+// Describe the gap lengths a severity bucket covers, e.g. "2-8 hours" or ">8 hours"
+function describeBucket(buckets, index) {
+  const lower = index > 0 ? buckets[index - 1].maxMinutes : 0;
+  const upper = buckets[index].maxMinutes;
+  const inHours = lower % 60 === 0 && (upper === null || upper % 60 === 0);
+  const unit = inHours ? 'hours' : 'minutes';
+  const scale = (minutes) => inHours ? minutes / 60 : minutes;
+  
+  if (upper === null) {
+    return `>${scale(lower)} ${unit}`;
+  }
+  return `${scale(lower)}-${scale(upper)} ${unit}`;
+}
+
+// Helper function to generate gap recommendations. The most severe bucket of
+// the policy plays the part of critical gaps, the one below it of high gaps.
+function generateGapRecommendations(gaps, buckets) {
   const recommendations = [];
+  const top = buckets.length - 1;
   
-  const criticalGaps = gaps.filter(g => g.severity === 'critical');
+  const criticalGaps = gaps.filter(g => g.severity === buckets[top].label);
   if (criticalGaps.length > 0) {
     recommendations.push({
       type: 'critical',
-      message: `Found ${criticalGaps.length} critical gaps (>8 hours). Consider rescheduling events to reduce downtime.`,
+      message: `Found ${criticalGaps.length} ${buckets[top].label} gaps (${describeBucket(buckets, top)}). Consider rescheduling events to reduce downtime.`,
       priority: 'high'
     });
   }
   
-  const highGaps = gaps.filter(g => g.severity === 'high');
+  const highGaps = top > 0 ? gaps.filter(g => g.severity === buckets[top - 1].label) : [];
   if (highGaps.length > 5) {
     recommendations.push({
       type: 'efficiency',
-      message: `Found ${highGaps.length} high-priority gaps (2-8 hours). Consider adding buffer activities or parallel processing.`,
+      message: `Found ${highGaps.length} ${buckets[top - 1].label} gaps (${describeBucket(buckets, top - 1)}). Consider adding buffer activities or parallel processing.`,
       priority: 'medium'
     });
   }
@@ -181,39 +247,8 @@ function generateGapRecommendations(gaps) {
   return recommendations;
 }
 
-// Helper function to find affected gaps
-function findAffectedGaps(originalGaps, newGaps, eventId) {
-  const affected = [];
-  
-  // Find gaps that involve the modified event
-  originalGaps.forEach(originalGap => {
-    if (originalGap.beforeEvent.eventId === eventId || 
-        originalGap.afterEvent.eventId === eventId) {
-      const newGap = newGaps.find(g => 
-        g.beforeEvent.eventId === eventId || 
-        g.afterEvent.eventId === eventId
-      );
-      
-      if (newGap) {
-        affected.push({
-          type: 'modified',
-          original: originalGap,
-          new: newGap,
-          change: newGap.gapMinutes - originalGap.gapMinutes
-        });
-      } else {
-        affected.push({
-          type: 'eliminated',
-          original: originalGap
-        });
-      }
-    }
-  });
-  
-  return affected;
-}
-
 module.exports = {
+  resolveGapScope,
   findTemporalGaps,
   findCriticalGaps,
   analyzeGaps,
@@ -0,0 +1,74 @@
+const { GapSeverityPolicy } = require('../models/GapSeverityPolicy');
+const { NotFoundError, UnprocessableEntityError } = require('../utils/errors');
+
+// List the severity policies, the built-in default first
+const getAllPolicies = async () => {
+  const policies = await GapSeverityPolicy.list();
+  return policies.map(policy => policy.toObject());
+};
+
+// Load a policy by ID or name, throwing 404 when it does not exist
+const findPolicy = async (idOrName) => {
+  const policy = await GapSeverityPolicy.find(idOrName);
+  if (!policy) {
+    throw new NotFoundError(`Severity policy ${idOrName} not found`);
+  }
+  return policy;
+};
+
+// Load a stored policy for changes; the built-in default cannot be changed
+const findStoredPolicy = async (idOrName) => {
+  const policy = await findPolicy(idOrName);
+  if (policy.builtIn) {
+    throw new UnprocessableEntityError(`Severity policy ${policy.name} is built in and cannot be changed`);
+  }
+  return policy;
+};
+
+// Policy a gap request asked for, or the built-in default. Unknown policies are
+// rejected as invalid input rather than as a missing resource.
+const resolvePolicy = async (idOrName) => {
+  if (!idOrName) {
+    return GapSeverityPolicy.DEFAULT;
+  }
+  const policy = await GapSeverityPolicy.find(idOrName);
+  if (!policy) {
+    throw new UnprocessableEntityError(`Unknown severity policy: ${idOrName}`);
+  }
+  return policy;
+};
+
+// Get a specific policy
+const getPolicy = async (idOrName) => {
+  return (await findPolicy(idOrName)).toObject();
+};
+
+// Create a new policy (body already validated against policySchema)
+const createPolicy = async (policyData) => {
+  const policy = await GapSeverityPolicy.create(policyData);
+  return policy.toObject();
+};
+
+// Replace an existing policy
+const updatePolicy = async (idOrName, policyData) => {
+  const policy = await findStoredPolicy(idOrName);
+  await policy.update(policyData);
+  return policy.toObject();
+};
+
+// Delete a policy
+const deletePolicy = async (idOrName) => {
+  const policy = await findStoredPolicy(idOrName);
+  await policy.delete();
+  return true;
+};
+
+module.exports = {
+  getAllPolicies,
+  findPolicy,
+  resolvePolicy,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+};
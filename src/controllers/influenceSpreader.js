@@ -1,10 +1,18 @@
 const { getEventCollection } = require('./events');
+const { NotFoundError, UnprocessableEntityError } = require('../utils/errors');
+
+// Influence decays by this factor for every level away from the source event
+const INFLUENCE_DECAY = 0.7;
 
 // Calculate influence spreading for specific event
 const calculateEventInfluence = async (eventId, query) => {
   const { maxDepth = 3 } = query;
   const eventCollection = getEventCollection();
   
+  if (!await eventCollection.getEvent(eventId)) {
+    throw new NotFoundError('Event not found');
+  }
+  
   const influence = await eventCollection.calculateEventInfluence(eventId, parseInt(maxDepth));
   
   return {
@@ -70,6 +78,8 @@ const performGlobalAnalysis = async () => {
   
   return {
     ...globalAnalysis,
+    influenceMap: Array.from(globalAnalysis.influenceMap.entries())
+      .map(([eventId, influence]) => ({ eventId, influence })),
     statistics: {
       averageInfluence: influences.reduce((sum, inf) => sum + inf, 0) / influences.length,
       maxInfluence,
@@ -80,66 +90,61 @@ const performGlobalAnalysis = async () => {
   };
 };
 
-// Simulate influence changes
-const simulateInfluenceChanges = (simulationData) => {
-  const { eventId, affectedEvents } = simulationData;
+// Simulate influence changes in memory - nothing is written to the database
+const simulateInfluenceChanges = async (simulationData) => {
+  const { eventId, newParentId, affectedEvents, maxDepth = 3 } = simulationData;
   const eventCollection = getEventCollection();
   
   if (!eventId) {
-    throw new Error('Missing required field: eventId');
+    throw new UnprocessableEntityError('Missing required field: eventId');
   }
   
-  const event = eventCollection.getEvent(eventId);
+  const event = await eventCollection.getEvent(eventId);
   if (!event) {
-    throw new Error('Event not found');
+    throw new NotFoundError('Event not found');
   }
   
-  // Calculate original influence
-  const originalInfluence = eventCollection.calculateEventInfluence(eventId, 3);
+  const events = await eventCollection.getAllEvents();
+  const reparent = newParentId !== undefined;
   
-  // Create temporary event
-  const tempEvent = {
-    ...event.toObject()
-  };
+  if (reparent && newParentId !== null && !events.some(e => e.eventId === newParentId)) {
+    throw new NotFoundError('Parent event not found');
+  }
   
-  // Create temporary collection for simulation
-  const { EventCollection } = require('../models/Event');
-  const tempCollection = new EventCollection();
-  eventCollection.getAllEvents().forEach(e => {
-    if (e.eventId === eventId) {
-      tempCollection.addEvent(tempEvent);
-    } else {
-      tempCollection.addEvent(e.toObject());
-    }
-  });
+  // Build the hierarchy as it is today and as it would be after the proposed change
+  const originalChildren = buildChildMap(events);
+  const simulatedChildren = buildChildMap(events.map(e => (
+    reparent && e.eventId === eventId ? { eventId: e.eventId, parentId: newParentId } : e
+  )));
   
-  // Calculate new influence
-  const newInfluence = tempCollection.calculateEventInfluence(eventId, 3);
+  const originalInfluence = influenceInHierarchy(originalChildren, eventId, maxDepth);
+  const newInfluence = influenceInHierarchy(simulatedChildren, eventId, maxDepth);
+  
+  // By default report on the parents that gain or lose the event
+  const impactTargets = Array.isArray(affectedEvents)
+    ? affectedEvents
+    : [event.parentId, reparent ? newParentId : null].filter(Boolean);
   
   // Calculate impact on affected events
-  const impactAnalysis = [];
-  if (affectedEvents && Array.isArray(affectedEvents)) {
-    affectedEvents.forEach(affectedEventId => {
-      try {
-        const originalAffectedInfluence = eventCollection.calculateEventInfluence(affectedEventId, 3);
-        const newAffectedInfluence = tempCollection.calculateEventInfluence(affectedEventId, 3);
-        
-        impactAnalysis.push({
-          eventId: affectedEventId,
-          originalInfluence: originalAffectedInfluence.totalInfluence,
-          newInfluence: newAffectedInfluence.totalInfluence,
-          change: newAffectedInfluence.totalInfluence - originalAffectedInfluence.totalInfluence,
-          changePercentage: ((newAffectedInfluence.totalInfluence - originalAffectedInfluence.totalInfluence) / originalAffectedInfluence.totalInfluence) * 100
-        });
-      } catch (error) {
-        console.warn(`Failed to calculate impact for event ${affectedEventId}: ${error.message}`);
-      }
-    });
-  }
+  const impactAnalysis = impactTargets.map(affectedEventId => {
+    const originalAffectedInfluence = influenceInHierarchy(originalChildren, affectedEventId, maxDepth);
+    const newAffectedInfluence = influenceInHierarchy(simulatedChildren, affectedEventId, maxDepth);
+    const change = newAffectedInfluence.totalInfluence - originalAffectedInfluence.totalInfluence;
+    
+    return {
+      eventId: affectedEventId,
+      originalInfluence: originalAffectedInfluence.totalInfluence,
+      newInfluence: newAffectedInfluence.totalInfluence,
+      change,
+      changePercentage: (change / originalAffectedInfluence.totalInfluence) * 100
+    };
+  });
   
   return {
     simulation: {
       eventId,
+      originalParentId: event.parentId || null,
+      newParentId: reparent ? newParentId : event.parentId || null,
       originalInfluence: originalInfluence.totalInfluence,
       newInfluence: newInfluence.totalInfluence,
       influenceChange: newInfluence.totalInfluence - originalInfluence.totalInfluence,
@@ -151,11 +156,15 @@ const simulateInfluenceChanges = (simulationData) => {
 };
 
 // Get influence network visualization data
-const getInfluenceNetwork = (eventId, query) => {
+const getInfluenceNetwork = async (eventId, query) => {
   const { maxDepth = 2 } = query;
   const eventCollection = getEventCollection();
   
-  const influence = eventCollection.calculateEventInfluence(eventId, parseInt(maxDepth));
+  if (!await eventCollection.getEvent(eventId)) {
+    throw new NotFoundError('Event not found');
+  }
+  
+  const influence = await eventCollection.calculateEventInfluence(eventId, parseInt(maxDepth));
   
   // Create network nodes and edges
   const nodes = [];
@@ -173,7 +182,7 @@ const getInfluenceNetwork = (eventId, query) => {
     if (item.eventId !== eventId) {
       nodes.push({
         id: item.eventId,
-        label: item.event.eventName,
+        label: item.event.event_name,
         value: item.influence,
         group: 'influenced',
         influence: item.influence
@@ -189,6 +198,8 @@ const getInfluenceNetwork = (eventId, query) => {
     }
   });
   
+  const influences = edges.map(edge => edge.value);
+  
   return {
     network: {
       nodes,
@@ -197,12 +208,37 @@ const getInfluenceNetwork = (eventId, query) => {
     metadata: {
       totalNodes: nodes.length,
       totalEdges: edges.length,
-      maxInfluence: Math.max(...nodes.map(n => n.influence)),
-      minInfluence: Math.min(...nodes.map(n => n.influence))
+      maxInfluence: influences.length > 0 ? Math.max(...influences) : 0,
+      minInfluence: influences.length > 0 ? Math.min(...influences) : 0
     }
   };
 };
 
+// Shortest hierarchy path between two events, moving through parents and children
+const findInfluencePath = async (sourceEventId, targetEventId) => {
+  const eventCollection = getEventCollection();
+  
+  if (!await eventCollection.getEvent(sourceEventId)) {
+    throw new NotFoundError('Source event not found');
+  }
+  
+  if (!await eventCollection.getEvent(targetEventId)) {
+    throw new NotFoundError('Target event not found');
+  }
+  
+  const shortestPath = await findShortestPath(eventCollection, sourceEventId, targetEventId);
+  
+  return {
+    sourceEventId,
+    targetEventId,
+    shortestPath,
+    totalDurationMinutes: shortestPath.reduce((total, step) => total + step.duration_minutes, 0),
+    message: shortestPath.length > 0
+      ? 'Shortest temporal path found from source to target event.'
+      : 'No temporal path found from source to target event.'
+  };
+};
+
 // Helper functions
 function analyzeInfluencePattern(influence) {
   const influences = influence.influenceMap.map(item => item.influence);
@@ -291,6 +327,77 @@ function generateSimulationRecommendations(original, newInfluence) {
   return recommendations;
 }
 
+// Map each event ID to the IDs of its direct children
+function buildChildMap(events) {
+  const children = new Map();
+  events.forEach(event => {
+    if (event.parentId) {
+      if (!children.has(event.parentId)) {
+        children.set(event.parentId, []);
+      }
+      children.get(event.parentId).push(event.eventId);
+    }
+  });
+  return children;
+}
+
+// In-memory equivalent of EventCollection.calculateEventInfluence
+function influenceInHierarchy(children, eventId, maxDepth) {
+  const visited = new Set([eventId]);
+  let frontier = [eventId];
+  let totalInfluence = 0;
+  
+  for (let depth = 0; depth <= maxDepth && frontier.length > 0; depth++) {
+    totalInfluence += frontier.length * Math.pow(INFLUENCE_DECAY, depth);
+    frontier = frontier
+      .flatMap(id => children.get(id) || [])
+      .filter(id => !visited.has(id) && visited.add(id));
+  }
+  
+  return { totalInfluence };
+}
+
+// Breadth-first search over parent and child links; [] when the events are unconnected
+async function findShortestPath(eventCollection, sourceEventId, targetEventId) {
+  const queue = [{ eventId: sourceEventId, path: [] }];
+  const visited = new Set();
+  
+  while (queue.length > 0) {
+    const { eventId, path } = queue.shift();
+    
+    if (visited.has(eventId)) {
+      continue;
+    }
+    visited.add(eventId);
+    
+    const event = await eventCollection.getEvent(eventId);
+    if (!event) {
+      continue;
+    }
+    
+    const currentPath = [...path, {
+      event_id: event.eventId,
+      event_name: event.eventName,
+      duration_minutes: Math.round((event.endDate - event.startDate) / (1000 * 60))
+    }];
+    
+    if (eventId === targetEventId) {
+      return currentPath;
+    }
+    
+    const children = await eventCollection.getChildEvents(eventId);
+    children
+      .filter(child => !visited.has(child.eventId))
+      .forEach(child => queue.push({ eventId: child.eventId, path: currentPath }));
+    
+    if (event.parentId && !visited.has(event.parentId)) {
+      queue.push({ eventId: event.parentId, path: currentPath });
+    }
+  }
+  
+  return [];
+}
+
 function calculateVariance(values) {
   const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
   const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
@@ -301,5 +408,6 @@ module.exports = {
   calculateEventInfluence,
   performGlobalAnalysis,
   simulateInfluenceChanges,
-  getInfluenceNetwork
+  getInfluenceNetwork,
+  findInfluencePath
 };
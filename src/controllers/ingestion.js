@@ -0,0 +1,718 @@
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { Event, DEFAULT_CONTAINMENT_POLICY } = require('../models/Event');
+const { getClient, setAuditContext } = require('../config/database');
+const { RowError } = require('../utils/errors');
+const { resolveFormat } = require('../utils/ingestionFormats');
+const { createRecordMapper } = require('../utils/columnMapping');
+
+const INGESTION_MODES = ['batch', 'atomic'];
+const UNRESOLVED_PARENT_POLICIES = ['detach', 'reject'];
+const DEFAULT_BATCH_SIZE = 500;
+const MAX_BATCH_SIZE = 5000; // 7 parameters per row keeps us well under PostgreSQL's 65535 limit
+const LOOKUP_BATCH_SIZE = 1000; // IDs per existence query during dry runs
+const DEFAULT_MAX_ISSUES = 1000;
+
+// Joi error types reported under a stable issue code
+const VALIDATION_CODES = {
+  'any.required': 'REQUIRED_FIELD',
+  'string.empty': 'REQUIRED_FIELD',
+  'string.guid': 'INVALID_UUID',
+  'date.base': 'INVALID_DATE',
+  'date.format': 'INVALID_DATE',
+  'date.greater': 'END_BEFORE_START'
+};
+
+// Attach the offending line number and source record to an error
+function lineError(lineNumber, error, record) {
+  error.lineNumber = lineNumber;
+  error.record = record;
+  return error;
+}
+
+// Plain-object form of a row issue for reports
+function toIssue(lineNumber, error) {
+  return {
+    line: lineNumber,
+    column: error.column || null,
+    code: error.code || 'INVALID_ROW',
+    severity: error.severity || 'error',
+    message: error.message,
+    value: error.value === undefined ? null : error.value
+  };
+}
+
+// Translate a database failure for a single row into a RowError
+function toDatabaseRowError(error, row) {
+  if (error.statusCode === 422 && error.details) {
+    return new RowError('CONTAINMENT_VIOLATION', error.details.map(violation => violation.message).join('; '), {
+      column: row.sources.parentId || 'parentId',
+      value: row.data.parentId
+    });
+  }
+  if (error.statusCode === 409) {
+    return new RowError('DUPLICATE_ID', error.message, {
+      column: row.sources.eventId || 'eventId',
+      value: row.data.eventId
+    });
+  }
+  if (error.message && error.message.includes('hierarchy cycle')) {
+    return new RowError('PARENT_CYCLE', error.message, {
+      column: row.sources.parentId || 'parentId',
+      value: row.data.parentId
+    });
+  }
+  if (error.message && error.message.includes('parent_event_id')) {
+    return new RowError('UNKNOWN_PARENT', error.message, {
+      column: row.sources.parentId || 'parentId',
+      value: row.data.parentId
+    });
+  }
+  return new RowError('DATABASE_ERROR', error.message);
+}
+
+// Resolve the format, record mapper and parser options for a file.
+// options.format names a registered format; otherwise the profile's format is
+// used, or one is picked from options.fileName (or filePath) by extension.
+// options.profile is an IngestionProfile controlling how columns map to fields.
+async function prepareSource(filePath, options) {
+  const { profile } = options;
+  const format = await resolveFormat({
+    format: options.format || (profile && profile.format),
+    filePath,
+    fileName: options.fileName
+  });
+
+  return {
+    format,
+    mapRecord: createRecordMapper(profile ? profile.toObject() : undefined),
+    parseOptions: profile ? profile.toParseOptions() : {}
+  };
+}
+
+// Parse, map and validate every row of a stream. Yields
+// { lineNumber, record, data, sources } for valid rows and
+// { lineNumber, record, issues } (a list of RowErrors) for rejected ones.
+async function* readRows(input, { format, mapRecord, parseOptions }) {
+  for await (const { lineNumber, record, error } of format.parse(input, parseOptions)) {
+    if (error) {
+      yield { lineNumber, record: null, issues: [error] };
+      continue;
+    }
+
+    let mapped;
+    try {
+      mapped = mapRecord(record);
+    } catch (mapError) {
+      const rowError = mapError instanceof RowError ? mapError : new RowError('INVALID_ROW', mapError.message);
+      yield { lineNumber, record, issues: [rowError] };
+      continue;
+    }
+
+    const { eventData, sources } = mapped;
+    const validation = Event.validateDetailed(eventData);
+    if (!validation.isValid) {
+      yield {
+        lineNumber,
+        record,
+        issues: validation.errors.map(detail => new RowError(
+          VALIDATION_CODES[detail.type] || 'INVALID_VALUE',
+          detail.message,
+          { column: sources[detail.field] || detail.field, value: eventData[detail.field] }
+        ))
+      };
+      continue;
+    }
+
+    // Generate missing IDs up front so every row can be tracked by eventId
+    const data = validation.value;
+    data.eventId = data.eventId || uuidv4();
+    yield { lineNumber, record, data, sources };
+  }
+}
+
+// Store a rejected row on the job
+async function rejectRow(job, lineNumber, error, record) {
+  job.errorLines++;
+  await job.recordError(lineNumber, error.message, {
+    code: error.code,
+    column: error.column,
+    value: error.value,
+    record
+  });
+}
+
+// Store a kept row's warning on the job
+async function warnRow(job, lineNumber, error, record) {
+  job.warningLines++;
+  await job.recordError(lineNumber, error.message, {
+    code: error.code,
+    column: error.column,
+    value: error.value,
+    record,
+    severity: 'warning'
+  });
+}
+
+const parentKey = (row) => row.data.parentId && row.data.parentId.toLowerCase();
+
+// Split a batch into rows that can be inserted now and rows whose parent is
+// neither stored nor insertable in this batch. Held rows wait in `pending`
+// (keyed by lowercased parent ID) until their parent is inserted.
+async function holdUnresolvedRows(client, rows, pending) {
+  const batchIds = new Set(rows.map(row => row.data.eventId.toLowerCase()));
+  const parentIds = [...new Set(rows
+    .map(parentKey)
+    .filter(parentId => parentId && !batchIds.has(parentId)))];
+
+  const existingIds = await Event.findExistingIds(parentIds, client);
+
+  let ready = [];
+  const held = [];
+  rows.forEach(row => {
+    const parentId = parentKey(row);
+    (!parentId || batchIds.has(parentId) || existingIds.has(parentId) ? ready : held).push(row);
+  });
+
+  // Rows whose in-batch parent is held must wait too
+  let heldIds = new Set(held.map(row => row.data.eventId.toLowerCase()));
+  while (heldIds.size > 0) {
+    const waiting = ready.filter(row => heldIds.has(parentKey(row)));
+    if (waiting.length === 0) break;
+    ready = ready.filter(row => !waiting.includes(row));
+    held.push(...waiting);
+    heldIds = new Set(waiting.map(row => row.data.eventId.toLowerCase()));
+  }
+
+  held.forEach(row => {
+    const parentId = parentKey(row);
+    if (!pending.has(parentId)) {
+      pending.set(parentId, []);
+    }
+    pending.get(parentId).push(row);
+  });
+
+  return ready;
+}
+
+// Order a batch so rows come after their in-batch parents, keeping file order
+// otherwise. Rows caught in a parent cycle come in the order the walk meets them.
+function parentsFirst(rows) {
+  const byId = new Map(rows.map(row => [row.data.eventId.toLowerCase(), row]));
+  const placed = new Set();
+  const ordered = [];
+
+  rows.forEach(row => {
+    // Walk up to the topmost unplaced in-batch ancestor, then place downwards
+    const chain = new Set();
+    let current = row;
+    while (current && !placed.has(current) && !chain.has(current)) {
+      chain.add(current);
+      current = byId.get(parentKey(current));
+    }
+    [...chain].reverse().forEach(link => {
+      placed.add(link);
+      ordered.push(link);
+    });
+  });
+
+  return ordered;
+}
+
+// Take the held rows whose parents were just inserted
+function releaseWaitingRows(pending, insertedRows) {
+  return insertedRows.flatMap(row => {
+    const eventId = row.data.eventId.toLowerCase();
+    const waiting = pending.get(eventId) || [];
+    pending.delete(eventId);
+    return waiting;
+  });
+}
+
+// Settle links still unresolved once the whole file has been read. With
+// unresolvedParents=reject the rows (and any rows below them) are rejected;
+// otherwise the topmost rows of each dangling chain are inserted without a
+// parent, which in turn releases their descendants.
+async function resolveDanglingParents(job, pending, { atomic, unresolvedParents, insertRows }) {
+  while (pending.size > 0) {
+    const waiting = [...pending.values()].flat().sort((a, b) => a.lineNumber - b.lineNumber);
+    const waitingIds = new Set(waiting.map(row => row.data.eventId.toLowerCase()));
+
+    if (unresolvedParents === 'reject') {
+      pending.clear();
+      for (const row of waiting) {
+        const message = waitingIds.has(parentKey(row))
+          ? `Parent event ${row.data.parentId} was rejected`
+          : `Parent event ${row.data.parentId} does not exist or was rejected`;
+        const error = new RowError('UNKNOWN_PARENT', message, {
+          column: row.sources.parentId || 'parentId',
+          value: row.data.parentId
+        });
+        if (atomic) {
+          throw lineError(row.lineNumber, error, row.record);
+        }
+        await rejectRow(job, row.lineNumber, error, row.record);
+      }
+      return;
+    }
+
+    // Rows waiting on each other form a cycle; break it at the earliest line
+    let roots = waiting.filter(row => !waitingIds.has(parentKey(row)));
+    if (roots.length === 0) {
+      roots = [waiting[0]];
+    }
+
+    for (const row of roots) {
+      const waitingOnParent = pending.get(parentKey(row));
+      waitingOnParent.splice(waitingOnParent.indexOf(row), 1);
+      if (waitingOnParent.length === 0) {
+        pending.delete(parentKey(row));
+      }
+
+      await warnRow(job, row.lineNumber, new RowError(
+        'UNKNOWN_PARENT',
+        `Parent event ${row.data.parentId} does not exist or was rejected; the link was dropped`,
+        { column: row.sources.parentId || 'parentId', value: row.data.parentId }
+      ), row.record);
+      row.data.parentId = null;
+    }
+
+    await insertRows(roots);
+  }
+}
+
+// Add insertMany's outcome counts to the job
+function countWritten(job, counts) {
+  job.insertedLines += counts.inserted;
+  job.updatedLines += counts.updated;
+  job.skippedLines += counts.skipped;
+  job.processedLines += counts.inserted + counts.updated + counts.skipped;
+}
+
+// Insert one batch with a multi-row INSERT and apply the containment policy to
+// the written rows. If that fails, retry row by row inside savepoints, parents
+// before their children, so only the offending lines are rejected (including
+// rows breaking containment=reject). Containment warnings are recorded per row.
+// Returns the rows that were written (or skipped as already stored).
+async function insertBatch(client, job, rows, { atomic, onConflict, containment }) {
+  if (!atomic) {
+    await client.query('BEGIN');
+  }
+
+  // Write rows and check their containment, returning the warnings by event ID
+  const writeRows = async (batchRows) => {
+    const counts = await Event.insertMany(batchRows.map(row => row.data), client, { onConflict });
+    const warnings = await Event.enforceContainmentMany(counts.writtenIds, client, containment);
+    return { counts, warnings };
+  };
+
+  try {
+    const inserted = [];
+    const warnings = new Map();
+    await client.query('SAVEPOINT ingest_batch');
+
+    try {
+      const written = await writeRows(rows);
+      await client.query('RELEASE SAVEPOINT ingest_batch');
+      countWritten(job, written.counts);
+      written.warnings.forEach((messages, eventId) => warnings.set(eventId, messages));
+      inserted.push(...rows);
+    } catch (batchError) {
+      await client.query('ROLLBACK TO SAVEPOINT ingest_batch');
+
+      for (const row of parentsFirst(rows)) {
+        await client.query('SAVEPOINT ingest_row');
+        try {
+          const written = await writeRows([row]);
+          await client.query('RELEASE SAVEPOINT ingest_row');
+          countWritten(job, written.counts);
+          written.warnings.forEach((messages, eventId) => warnings.set(eventId, messages));
+          inserted.push(row);
+        } catch (rowError) {
+          await client.query('ROLLBACK TO SAVEPOINT ingest_row');
+          const error = toDatabaseRowError(rowError, row);
+          if (atomic) {
+            throw lineError(row.lineNumber, error, row.record);
+          }
+          await rejectRow(job, row.lineNumber, error, row.record);
+        }
+      }
+    }
+
+    for (const row of inserted) {
+      const messages = warnings.get(row.data.eventId.toLowerCase());
+      if (messages) {
+        await warnRow(job, row.lineNumber, new RowError('CONTAINMENT_VIOLATION', messages.join('; '), {
+          column: row.sources.parentId || 'parentId',
+          value: row.data.parentId
+        }), row.record);
+      }
+    }
+
+    if (!atomic) {
+      await client.query('COMMIT');
+    }
+    return inserted;
+  } catch (error) {
+    if (!atomic) {
+      await client.query('ROLLBACK');
+    }
+    throw error;
+  }
+}
+
+// Stream a file into the database, updating the job as batches are written.
+// In atomic mode the whole file runs in one transaction and any error rolls it back.
+// Rows whose parent appears later in the file are held until it is inserted;
+// options.unresolvedParents decides what happens to links that never resolve
+// ('detach' keeps the row without a parent, 'reject' rejects it).
+// options.onConflict is one of Event's CONFLICT_POLICIES for already stored IDs,
+// options.containment one of its CONTAINMENT_POLICIES for rows sticking out of
+// their parent (or, when overwriting, rows whose stored children stick out).
+// With options.removeFile the file (an upload) is deleted once the job ends.
+// See prepareSource for the format and profile options.
+const processFileAsync = async (job, filePath, options = {}) => {
+  const atomic = options.mode === 'atomic';
+  const onConflict = options.onConflict || 'fail';
+  const containment = options.containment || DEFAULT_CONTAINMENT_POLICY;
+  const batchSize = Math.min(options.batchSize || DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE);
+  const stopHeartbeat = job.startHeartbeat();
+  let client;
+  let input;
+
+  try {
+    const source = await prepareSource(filePath, options);
+    const { size } = await fs.promises.stat(filePath);
+    job.bytesTotal = size;
+    job.bytesProcessed = 0;
+    job.totalLines = 0;
+    job.processedLines = 0;
+    job.insertedLines = 0;
+    job.updatedLines = 0;
+    job.skippedLines = 0;
+    job.errorLines = 0;
+    await job.save();
+
+    client = await getClient();
+    // Attribute every change in the event history to this job
+    await setAuditContext(client, { actor: `ingestion:${job.jobId}` });
+    if (atomic) {
+      await client.query('BEGIN');
+    }
+
+    input = fs.createReadStream(filePath, { encoding: 'utf8' });
+    let batch = [];
+    const pending = new Map();
+
+    // Insert rows in batches, following up with any held rows they release
+    const insertRows = async (rows) => {
+      const queue = [...rows];
+      while (queue.length > 0) {
+        const ready = await holdUnresolvedRows(client, queue.splice(0, batchSize), pending);
+        const inserted = ready.length > 0 ? await insertBatch(client, job, ready, { atomic, onConflict, containment }) : [];
+        queue.push(...releaseWaitingRows(pending, inserted));
+      }
+    };
+
+    const flush = async () => {
+      const rows = batch;
+      batch = [];
+      await insertRows(rows);
+      job.bytesProcessed = input.bytesRead;
+      await job.save();
+    };
+
+    for await (const row of readRows(input, source)) {
+      job.totalLines++;
+
+      if (row.issues) {
+        if (atomic) {
+          throw lineError(row.lineNumber, row.issues[0], row.record);
+        }
+        await rejectRow(job, row.lineNumber, row.issues[0], row.record);
+      } else {
+        batch.push(row);
+      }
+
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+    }
+    await flush();
+
+    await resolveDanglingParents(job, pending, {
+      atomic,
+      unresolvedParents: options.unresolvedParents,
+      insertRows
+    });
+    await job.save();
+
+    if (atomic) {
+      await client.query('COMMIT');
+    }
+
+    // Mark job as completed
+    await job.complete();
+
+  } catch (error) {
+    try {
+      if (client && atomic) {
+        await client.query('ROLLBACK');
+        job.processedLines = 0;
+        job.insertedLines = 0;
+        job.updatedLines = 0;
+        job.skippedLines = 0;
+      }
+      if (error.lineNumber) {
+        await rejectRow(job, error.lineNumber, error, error.record);
+      }
+      await job.fail(atomic
+        ? `Ingestion rolled back: ${error.lineNumber ? `line ${error.lineNumber}: ` : ''}${error.message}`
+        : `File processing error: ${error.message}`);
+    } catch (saveError) {
+      console.error(`Failed to mark ingestion job ${job.jobId} as failed:`, saveError.message);
+    }
+  } finally {
+    stopHeartbeat();
+    if (input) {
+      input.destroy();
+    }
+    if (client) {
+      // A client whose audit context cannot be cleared is discarded, not reused
+      const resetError = await setAuditContext(client).then(() => undefined, error => error);
+      client.release(resetError);
+    }
+    if (options.removeFile) {
+      await fs.promises.unlink(filePath).catch(error => {
+        console.error(`Failed to remove ingested file ${filePath}:`, error.message);
+      });
+    }
+  }
+};
+
+// Parse and validate a whole file without writing anything. Besides per-row
+// schema errors this reports IDs repeated within the file, IDs that already
+// exist (errors only with onConflict=fail), and parent links that resolve
+// neither in the file nor in the database (errors with unresolvedParents=reject,
+// warnings otherwise). Rows sticking out of their parent, or whose stored
+// children would stick out of them when overwritten, are reported under
+// options.containment as a real run would (errors with reject, warnings with
+// warn and extend-parent).
+const dryRunFile = async (filePath, options = {}) => {
+  const maxIssues = options.maxIssues || DEFAULT_MAX_ISSUES;
+  const rejectDangling = options.unresolvedParents === 'reject';
+  const onConflict = options.onConflict || 'fail';
+  const containment = options.containment || DEFAULT_CONTAINMENT_POLICY;
+  const source = await prepareSource(filePath, options);
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+
+  const report = {
+    dryRun: true,
+    format: source.format.name,
+    profile: options.profile ? options.profile.name : null,
+    onConflict,
+    containment,
+    totalRows: 0,
+    validRows: 0,
+    invalidRows: 0,
+    existingRows: 0,
+    warnings: 0,
+    issues: [],
+    truncated: false
+  };
+
+  const invalidLines = new Set();
+  const seenIds = new Map(); // lowercased eventId -> line it first appeared on
+  const pendingParents = []; // rows whose parent had not appeared yet
+  const fileEvents = new Map(); // lowercased eventId -> dates and parent of its row
+  const existingIds = new Set();
+  let idLookups = [];
+
+  const addIssue = (lineNumber, error) => {
+    if (error.severity === 'warning') {
+      report.warnings++;
+    } else {
+      invalidLines.add(lineNumber);
+    }
+    if (report.issues.length < maxIssues) {
+      report.issues.push(toIssue(lineNumber, error));
+    } else {
+      report.truncated = true;
+    }
+  };
+
+  // Count queued rows whose eventId is already stored; they fail under onConflict=fail
+  const checkExistingIds = async () => {
+    if (idLookups.length === 0) return;
+    const lookups = idLookups;
+    idLookups = [];
+    // Trashed events still hold their IDs
+    const existing = await Event.findExistingIds(lookups.map(lookup => lookup.id), null, { includeDeleted: true });
+    const conflicts = lookups.filter(lookup => existing.has(lookup.id));
+    conflicts.forEach(lookup => existingIds.add(lookup.id));
+    report.existingRows += conflicts.length;
+    if (onConflict === 'fail') {
+      conflicts.forEach(lookup => addIssue(lookup.lineNumber, new RowError(
+        'DUPLICATE_ID',
+        `Event with ID ${lookup.value} already exists`,
+        { column: lookup.column, value: lookup.value }
+      )));
+    }
+  };
+
+  // Check the rows the run would write against their parents (from the file
+  // when written too, else stored) and their stored children
+  const checkContainment = async () => {
+    if (containment === 'ignore') return;
+    const written = new Map([...fileEvents].filter(([id]) => onConflict === 'overwrite' || !existingIds.has(id)));
+
+    const stored = new Map();
+    const lookupIds = [...new Set([...written.values()].flatMap(event => [event.event_id, event.parentId]).filter(Boolean))];
+    for (let i = 0; i < lookupIds.length; i += LOOKUP_BATCH_SIZE) {
+      const rows = await Event.findHierarchyRanges(lookupIds.slice(i, i + LOOKUP_BATCH_SIZE));
+      rows.forEach(row => stored.set(row.event_id, row));
+    }
+
+    const messages = new Map(); // written event -> violations reported on its line
+    const note = (event, violation) => {
+      if (violation) {
+        messages.set(event, [...(messages.get(event) || []), violation.message]);
+      }
+    };
+    written.forEach(event => {
+      const parent = event.parentId && (written.get(event.parentId) || stored.get(event.parentId));
+      note(event, parent && Event.containmentViolation(event, parent));
+    });
+    stored.forEach(child => {
+      const parent = child.parent_event_id && !written.has(child.event_id) && written.get(child.parent_event_id);
+      note(parent, parent && Event.containmentViolation(child, parent));
+    });
+
+    messages.forEach((violations, event) => addIssue(event.lineNumber, new RowError(
+      'CONTAINMENT_VIOLATION',
+      containment === 'extend-parent'
+        ? `${violations.join('; ')}; the parent will be extended`
+        : violations.join('; '),
+      { column: event.parentColumn, value: event.parentValue, severity: containment === 'reject' ? 'error' : 'warning' }
+    )));
+  };
+
+  try {
+    for await (const row of readRows(input, source)) {
+      report.totalRows++;
+
+      if (row.issues) {
+        row.issues.forEach(error => addIssue(row.lineNumber, error));
+        continue;
+      }
+
+      const { eventId, parentId } = row.data;
+      const id = eventId.toLowerCase();
+      if (seenIds.has(id)) {
+        addIssue(row.lineNumber, new RowError(
+          'DUPLICATE_ID',
+          `Duplicate eventId ${eventId} (first seen on line ${seenIds.get(id)})`,
+          {
+            column: row.sources.eventId || 'eventId',
+            value: eventId,
+            severity: onConflict === 'fail' ? 'error' : 'warning'
+          }
+        ));
+        continue;
+      }
+      seenIds.set(id, row.lineNumber);
+      fileEvents.set(id, {
+        event_id: id,
+        event_name: row.data.eventName,
+        start_date: row.data.startDate,
+        end_date: row.data.endDate,
+        lineNumber: row.lineNumber,
+        parentId: parentId ? parentId.toLowerCase() : null,
+        parentValue: parentId || null,
+        parentColumn: row.sources.parentId || 'parentId'
+      });
+      idLookups.push({ lineNumber: row.lineNumber, id, value: eventId, column: row.sources.eventId || 'eventId' });
+      if (idLookups.length >= LOOKUP_BATCH_SIZE) {
+        await checkExistingIds();
+      }
+
+      if (parentId && !seenIds.has(parentId.toLowerCase())) {
+        pendingParents.push({ lineNumber: row.lineNumber, parentId, column: row.sources.parentId || 'parentId' });
+      }
+    }
+    await checkExistingIds();
+
+    // Parents may appear later in the file; anything else must already be stored
+    const unresolved = pendingParents.filter(pending => !seenIds.has(pending.parentId.toLowerCase()));
+    for (let i = 0; i < unresolved.length; i += LOOKUP_BATCH_SIZE) {
+      const chunk = unresolved.slice(i, i + LOOKUP_BATCH_SIZE);
+      const existing = await Event.findExistingIds(chunk.map(pending => pending.parentId.toLowerCase()));
+      chunk
+        .filter(pending => !existing.has(pending.parentId.toLowerCase()))
+        .forEach(pending => addIssue(pending.lineNumber, new RowError(
+          'UNKNOWN_PARENT',
+          rejectDangling
+            ? `Parent event ${pending.parentId} does not exist`
+            : `Parent event ${pending.parentId} does not exist; the link will be dropped`,
+          { column: pending.column, value: pending.parentId, severity: rejectDangling ? 'error' : 'warning' }
+        )));
+    }
+
+    await checkContainment();
+  } finally {
+    input.destroy();
+  }
+
+  report.invalidRows = invalidLines.size;
+  report.validRows = report.totalRows - report.invalidRows;
+  report.issues.sort((a, b) => a.line - b.line);
+  return report;
+};
+
+// Quote a value for CSV output
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Stream a job's rejected rows as CSV: the reason columns followed by the
+// original source columns, so the file can be corrected and re-ingested.
+const writeRejectedRows = async (job, res) => {
+  const sourceColumns = await job.getRejectedColumns();
+  const header = ['_line', '_code', '_column', '_message', '_value', ...sourceColumns];
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${job.jobId}-rejected.csv"`);
+  res.write(header.map(csvCell).join(',') + '\n');
+
+  const pageSize = 1000;
+  for (let offset = 0; ; offset += pageSize) {
+    const errors = await job.getErrors({ limit: pageSize, offset });
+    errors
+      .filter(error => error.line !== null && error.severity !== 'warning')
+      .forEach(error => {
+        const record = error.record && typeof error.record === 'object' ? error.record : {};
+        const cells = [
+          error.line, error.code, error.column, error.message, error.value,
+          ...sourceColumns.map(column => record[column])
+        ];
+        res.write(cells.map(csvCell).join(',') + '\n');
+      });
+    if (errors.length < pageSize) break;
+  }
+
+  res.end();
+};
+
+module.exports = {
+  processFileAsync,
+  dryRunFile,
+  writeRejectedRows,
+  INGESTION_MODES,
+  UNRESOLVED_PARENT_POLICIES,
+  DEFAULT_BATCH_SIZE,
+  MAX_BATCH_SIZE
+};
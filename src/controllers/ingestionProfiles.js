@@ -0,0 +1,51 @@
+const { IngestionProfile } = require('../models/IngestionProfile');
+const { NotFoundError } = require('../utils/errors');
+
+// List all mapping profiles
+const getAllProfiles = async () => {
+  const profiles = await IngestionProfile.list();
+  return profiles.map(profile => profile.toObject());
+};
+
+// Load a profile by ID or name, throwing 404 when it does not exist
+const findProfile = async (idOrName) => {
+  const profile = await IngestionProfile.find(idOrName);
+  if (!profile) {
+    throw new NotFoundError(`Ingestion profile ${idOrName} not found`);
+  }
+  return profile;
+};
+
+// Get a specific profile
+const getProfile = async (idOrName) => {
+  return (await findProfile(idOrName)).toObject();
+};
+
+// Create a new profile (body already validated against profileSchema)
+const createProfile = async (profileData) => {
+  const profile = await IngestionProfile.create(profileData);
+  return profile.toObject();
+};
+
+// Replace an existing profile
+const updateProfile = async (idOrName, profileData) => {
+  const profile = await findProfile(idOrName);
+  await profile.update(profileData);
+  return profile.toObject();
+};
+
+// Delete a profile
+const deleteProfile = async (idOrName) => {
+  const profile = await findProfile(idOrName);
+  await profile.delete();
+  return true;
+};
+
+module.exports = {
+  getAllProfiles,
+  findProfile,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile
+};
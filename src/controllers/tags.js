@@ -0,0 +1,130 @@
+const { Tag } = require('../models/Tag');
+const { getEventCollection } = require('./events');
+const { NotFoundError, UnprocessableEntityError } = require('../utils/errors');
+
+// List all tags with their event counts
+const getAllTags = async () => {
+  const tags = await Tag.list();
+  return tags.map(tag => tag.toObject());
+};
+
+// Load a tag by ID or name, throwing 404 when it does not exist
+const findTag = async (idOrName) => {
+  const tag = await Tag.find(idOrName);
+  if (!tag) {
+    throw new NotFoundError(`Tag ${idOrName} not found`);
+  }
+  return tag;
+};
+
+// Get a specific tag
+const getTag = async (idOrName) => {
+  return (await findTag(idOrName)).toObject();
+};
+
+// Create a new tag (body already validated against tagSchema)
+const createTag = async (tagData) => {
+  const tag = await Tag.create(tagData);
+  return tag.toObject();
+};
+
+// Replace an existing tag
+const updateTag = async (idOrName, tagData) => {
+  const tag = await findTag(idOrName);
+  await tag.update(tagData);
+  return tag.toObject();
+};
+
+// Delete a tag and its event links
+const deleteTag = async (idOrName) => {
+  const tag = await findTag(idOrName);
+  await tag.delete();
+  return true;
+};
+
+// Page through the events carrying a tag, ordered by start date
+const getTagEvents = async (idOrName, { limit, offset = 0 }) => {
+  const tag = await findTag(idOrName);
+  const { events, total } = await getEventCollection().searchEvents({
+    tags: [tag.name],
+    sortBy: 'start_date',
+    sortOrder: 'asc',
+    limit,
+    offset
+  });
+
+  return {
+    tag: tag.toObject(),
+    events: events.map(event => event.toObject()),
+    total,
+    limit,
+    offset
+  };
+};
+
+// Load an event, throwing 404 when it does not exist
+const findEvent = async (eventId) => {
+  const event = await getEventCollection().getEvent(eventId);
+  if (!event) {
+    throw new NotFoundError('Event not found');
+  }
+  return event;
+};
+
+// Resolve tag IDs or names, rejecting the request when any is unknown
+const resolveTags = async (idsOrNames) => {
+  const tags = await Tag.findMany(idsOrNames);
+  const known = new Set(tags.flatMap(tag => [tag.tagId, tag.name.toLowerCase()]));
+  const unknown = idsOrNames.filter(value => !known.has(value.toLowerCase()));
+  if (unknown.length > 0) {
+    throw new UnprocessableEntityError(`Unknown tags: ${unknown.join(', ')}`);
+  }
+  return tags;
+};
+
+// Get the tags attached to an event
+const getEventTags = async (eventId) => {
+  await findEvent(eventId);
+  const tags = await Tag.findForEvent(eventId);
+  return tags.map(tag => tag.toObject());
+};
+
+// Replace the tags attached to an event
+const setEventTags = async (eventId, idsOrNames) => {
+  await findEvent(eventId);
+  const tags = await resolveTags(idsOrNames);
+  await Tag.setForEvent(eventId, tags.map(tag => tag.tagId));
+  return getEventTags(eventId);
+};
+
+// Attach more tags to an event
+const addEventTags = async (eventId, idsOrNames) => {
+  await findEvent(eventId);
+  const tags = await resolveTags(idsOrNames);
+  await Tag.addToEvent(eventId, tags.map(tag => tag.tagId));
+  return getEventTags(eventId);
+};
+
+// Detach a tag from an event
+const removeEventTag = async (eventId, idOrName) => {
+  await findEvent(eventId);
+  const tag = await findTag(idOrName);
+  if (!await Tag.removeFromEvent(eventId, tag.tagId)) {
+    throw new NotFoundError(`Event is not tagged ${tag.name}`);
+  }
+  return true;
+};
+
+module.exports = {
+  getAllTags,
+  findTag,
+  getTag,
+  createTag,
+  updateTag,
+  deleteTag,
+  getTagEvents,
+  getEventTags,
+  setEventTags,
+  addEventTags,
+  removeEventTag
+};
@@ -5,10 +5,15 @@ const cors = require('cors');
 const { router } = require('./routes');
 const { errorHandler } = require('./middleware/errorHandler');
 const { testConnection } = require('./config/database');
+const { IngestionJob } = require('./models/IngestionJob');
+const { Event } = require('./models/Event');
 
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const INGESTION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // Purge expired ingestion jobs hourly
+const INGESTION_RECOVERY_INTERVAL_MS = 5 * 60 * 1000; // Fail jobs with a stale heartbeat every 5 minutes
+const TRASH_CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // Purge expired trash hourly
 
 // Middleware
 app.use(cors());
@@ -28,7 +33,13 @@ app.get('/', (req, res) => {
     endpoints: {
       events: '/api/events',
       insights: '/api/insights',
+      timeline: '/api/timeline',
+      gaps: '/api/gaps',
+      influence: '/api/influence',
       influenceSpreader: '/api/influence-spreader',
+      ingestionProfiles: '/api/ingestion-profiles',
+      tags: '/api/tags',
+      calendars: '/api/calendars',
       health: '/health'
     }
   });
@@ -54,7 +65,51 @@ app.listen(PORT, async () => {
   const dbConnected = await testConnection();
   if (!dbConnected) {
     console.error('Warning: Database connection failed. Some features may not work properly.');
+    return;
   }
+
+  // Ingestion job housekeeping
+  const purgeIngestionJobs = async () => {
+    try {
+      const purged = await IngestionJob.purgeExpired();
+      if (purged > 0) {
+        console.log(`Purged ${purged} expired ingestion jobs`);
+      }
+    } catch (error) {
+      console.error('Ingestion job cleanup failed:', error.message);
+    }
+  };
+
+  const failInterruptedJobs = async () => {
+    try {
+      const failed = await IngestionJob.failInterrupted();
+      if (failed > 0) {
+        console.log(`Marked ${failed} interrupted ingestion jobs as failed`);
+      }
+    } catch (error) {
+      console.error('Failed to recover interrupted ingestion jobs:', error.message);
+    }
+  };
+
+  await failInterruptedJobs();
+  setInterval(failInterruptedJobs, INGESTION_RECOVERY_INTERVAL_MS).unref();
+  await purgeIngestionJobs();
+  setInterval(purgeIngestionJobs, INGESTION_CLEANUP_INTERVAL_MS).unref();
+
+  // Permanently remove events kept in the trash past TRASH_RETENTION_DAYS
+  const purgeTrash = async () => {
+    try {
+      const purged = await Event.purgeExpired();
+      if (purged > 0) {
+        console.log(`Purged ${purged} events from the trash`);
+      }
+    } catch (error) {
+      console.error('Trash cleanup failed:', error.message);
+    }
+  };
+
+  await purgeTrash();
+  setInterval(purgeTrash, TRASH_CLEANUP_INTERVAL_MS).unref();
 });
 
 module.exports = app;
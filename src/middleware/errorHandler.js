@@ -1,3 +1,4 @@
+const { UnprocessableEntityError, fromDatabaseError } = require('../utils/errors');
 
 // Error handling middleware
 const errorHandler = (err, req, res, next) => {
@@ -13,9 +14,20 @@ const errorHandler = (err, req, res, next) => {
   // Default error response
   let statusCode = 500;
   let message = 'Internal server error';
+  let details;
+
+  // Translate raw PostgreSQL constraint errors into HTTP errors
+  const dbError = !err.statusCode && fromDatabaseError(err);
+  if (dbError) {
+    err = dbError;
+  }
 
   // Handle specific error types
-  if (err.name === 'ValidationError') {
+  if (err.statusCode) {
+    statusCode = err.statusCode;
+    message = err.message;
+    details = err.details;
+  } else if (err.name === 'ValidationError') {
     statusCode = 400;
     message = err.message;
   } else if (err.name === 'CastError') {
@@ -24,9 +36,6 @@ const errorHandler = (err, req, res, next) => {
   } else if (err.code === 11000) {
     statusCode = 409;
     message = 'Duplicate entry';
-  } else if (err.statusCode) {
-    statusCode = err.statusCode;
-    message = err.message;
   }
 
   // Don't expose internal errors in production
@@ -36,6 +45,7 @@ const errorHandler = (err, req, res, next) => {
 
   res.status(statusCode).json({
     error: message,
+    ...(details !== undefined && { details }),
     timestamp: new Date().toISOString(),
     path: req.path,
     method: req.method
@@ -49,16 +59,17 @@ const asyncHandler = (fn) => {
   };
 };
 
-// Request validation middleware
-const validateRequest = (schema) => {
+// Request validation middleware - validates req[property] and replaces it with the coerced value
+const validateRequest = (schema, property = 'body') => {
   return (req, res, next) => {
-    const { error } = schema.validate(req.body);
+    const { error, value } = schema.validate(req[property], { abortEarly: false });
     if (error) {
-      return res.status(400).json({
-        error: 'Validation error',
-        details: error.details[0].message
-      });
+      return next(new UnprocessableEntityError('Validation error', error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }))));
     }
+    req[property] = value;
     next();
   };
 };
@@ -118,7 +129,7 @@ const corsOptions = {
   origin: process.env.NODE_ENV === 'production' 
     ? ['https://yourdomain.com'] 
     : true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: true
 };
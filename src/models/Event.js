@@ -1,19 +1,250 @@
 const Joi = require('joi');
 const moment = require('moment');
 const { v4: uuidv4 } = require('uuid');
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
+const { UnprocessableEntityError, fromDatabaseError } = require('../utils/errors');
+const { pageFromRows } = require('../utils/cursor');
+const { SEARCH_CONFIG, buildTsQuery } = require('../utils/textSearch');
+const { buildMetadataConditions } = require('../utils/metadataFilter');
+const { buildTagCondition } = require('../utils/tagFilter');
+const { buildScopeConditions, buildPartitionKeys } = require('../utils/gapScope');
+const { DEFAULT_SEVERITY_BUCKETS, findGaps, gapSeverity, severityBreakdown } = require('../utils/gapDetection');
 
 // Event validation schema
 const eventSchema = Joi.object({
   eventId: Joi.string().uuid().optional(),
   eventName: Joi.string().required(),
   startDate: Joi.date().iso().required(),
-  endDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().greater(Joi.ref('startDate')).required(),
   parentId: Joi.string().uuid().allow(null).optional(),
   description: Joi.string().allow('').optional(),
   metadata: Joi.object().optional()
 });
 
+// Partial update schema - date ordering is checked once merged with the stored event
+const eventPatchSchema = eventSchema
+  .fork(['eventName', 'startDate'], (schema) => schema.optional())
+  .fork(['endDate'], () => Joi.date().iso().optional())
+  .min(1);
+
+// How writes treat an eventId that is already stored:
+//   fail           - reject the row (primary key violation)
+//   skip           - keep the stored event unchanged
+//   overwrite      - replace every field of the stored event
+//   merge-metadata - keep the stored fields, merging the new metadata keys into it
+const CONFLICT_POLICIES = ['fail', 'skip', 'overwrite', 'merge-metadata'];
+
+// ON CONFLICT clause for an INSERT into HistoricalEvents
+function conflictClause(onConflict) {
+  switch (onConflict) {
+    case 'skip':
+      return 'ON CONFLICT (event_id) DO NOTHING';
+    case 'overwrite':
+      return `ON CONFLICT (event_id) DO UPDATE SET
+        event_name = EXCLUDED.event_name, description = EXCLUDED.description,
+        start_date = EXCLUDED.start_date, end_date = EXCLUDED.end_date,
+        parent_event_id = EXCLUDED.parent_event_id, metadata = EXCLUDED.metadata`;
+    case 'merge-metadata':
+      return 'ON CONFLICT (event_id) DO UPDATE SET metadata = HistoricalEvents.metadata || EXCLUDED.metadata';
+    default:
+      return '';
+  }
+}
+
+// Columns the search endpoint may sort by, with their SQL types for keyset
+// comparisons (event_id breaks ties). relevance needs a full-text query.
+const SEARCH_SORT_COLUMNS = {
+  start_date: { column: 'start_date', type: 'timestamptz' },
+  end_date: { column: 'end_date', type: 'timestamptz' },
+  event_name: { column: 'event_name', type: 'text' },
+  duration: { column: 'duration_minutes', type: 'integer' },
+  relevance: { column: 'ts_rank_cd(search_vector, search_query.tsq)', type: 'real' }
+};
+
+// ts_headline options for highlighted snippets
+const HEADLINE_OPTIONS = {
+  name: 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true',
+  description: 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5'
+};
+
+// Ways of deleting an event together with its descendants:
+//   cascade - move the whole subtree to the trash
+//   promote - move only the event to the trash; its children take its parent
+const SUBTREE_DELETE_MODES = ['cascade', 'promote'];
+
+// Serialises hierarchy changes (the parent cycle trigger takes the same lock)
+const HIERARCHY_LOCK = "SELECT pg_advisory_xact_lock(hashtext('HistoricalEvents.hierarchy'))";
+
+// How long soft-deleted events stay in the trash before being purged
+const DEFAULT_TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// What writes do when an event does not lie within its parent's dates, or an
+// updated event no longer contains its children:
+//   ignore        - write it anyway
+//   warn          - write it and report the violations
+//   reject        - refuse the write
+//   extend-parent - widen the parent (and its ancestors) to contain the event
+const CONTAINMENT_POLICIES = ['ignore', 'warn', 'reject', 'extend-parent'];
+
+// Containment policy for writes that do not ask for one
+const DEFAULT_CONTAINMENT_POLICY = CONTAINMENT_POLICIES.includes(process.env.HIERARCHY_CONTAINMENT)
+  ? process.env.HIERARCHY_CONTAINMENT
+  : 'warn';
+
+// Child/parent pairs where the child starts before or ends after its parent.
+// condition narrows the pairs further (c is the child, p the parent).
+function hierarchyViolationsQuery(condition = 'TRUE') {
+  return `
+    SELECT
+      c.event_id, c.event_name, c.start_date, c.end_date,
+      p.event_id AS parent_id, p.event_name AS parent_name,
+      p.start_date AS parent_start_date, p.end_date AS parent_end_date
+    FROM HistoricalEvents c
+    JOIN HistoricalEvents p ON p.event_id = c.parent_event_id
+    WHERE c.deleted_at IS NULL AND p.deleted_at IS NULL
+      AND (c.start_date < p.start_date OR c.end_date > p.end_date)
+      AND ${condition}
+    ORDER BY c.start_date ASC, c.event_id ASC
+  `;
+}
+
+// Describe a row of hierarchyViolationsQuery
+function toContainmentViolation(row) {
+  const startDate = moment(row.start_date);
+  const endDate = moment(row.end_date);
+  const parentStart = moment(row.parent_start_date);
+  const parentEnd = moment(row.parent_end_date);
+  const startsEarly = startDate.isBefore(parentStart);
+  const endsLate = endDate.isAfter(parentEnd);
+  const problem = [startsEarly && 'starts before', endsLate && 'ends after'].filter(Boolean).join(' and ');
+
+  return {
+    eventId: row.event_id,
+    eventName: row.event_name,
+    startDate: startDate.toISOString(),
+    endDate: endDate.toISOString(),
+    parent: {
+      eventId: row.parent_id,
+      eventName: row.parent_name,
+      startDate: parentStart.toISOString(),
+      endDate: parentEnd.toISOString()
+    },
+    minutesBeforeParent: startsEarly ? parentStart.diff(startDate, 'minutes') : 0,
+    minutesAfterParent: endsLate ? endDate.diff(parentEnd, 'minutes') : 0,
+    message: `Event "${row.event_name}" ${problem} its parent "${row.parent_name}"`
+  };
+}
+
+// Apply a containment policy to an event row just written through client, inside
+// the write's transaction. Both the event against its parent and its children
+// against the event are checked. Returns the (possibly widened) row and the
+// warnings to report; 'reject' throws, rolling the write back.
+async function enforceContainment(client, row, policy) {
+  if (policy === 'ignore') {
+    return { row, warnings: [] };
+  }
+
+  const result = await client.query(
+    hierarchyViolationsQuery('(c.event_id = $1 OR c.parent_event_id = $1)'),
+    [row.event_id]
+  );
+  const violations = result.rows.map(toContainmentViolation);
+  if (violations.length === 0) {
+    return { row, warnings: [] };
+  }
+
+  if (policy === 'reject') {
+    throw new UnprocessableEntityError('Event dates break the hierarchy containment', violations);
+  }
+
+  if (policy === 'warn') {
+    const warnings = violations.map(violation => violation.message);
+    warnings.forEach(warning => console.warn(warning));
+    return { row, warnings };
+  }
+
+  // extend-parent: the event and its ancestors must cover the event and the
+  // children sticking out of it
+  const children = result.rows.filter(child => child.parent_id === row.event_id);
+  const start = moment.min([row.start_date, ...children.map(child => child.start_date)].map(date => moment(date)));
+  const end = moment.max([row.end_date, ...children.map(child => child.end_date)].map(date => moment(date)));
+  const extended = await client.query(`
+    WITH RECURSIVE chain AS (
+      SELECT event_id, parent_event_id, ARRAY[event_id] AS path
+      FROM HistoricalEvents
+      WHERE event_id = $1
+
+      UNION ALL
+
+      SELECT e.event_id, e.parent_event_id, c.path || e.event_id
+      FROM HistoricalEvents e
+      JOIN chain c ON e.event_id = c.parent_event_id
+      WHERE e.deleted_at IS NULL
+        AND NOT (e.event_id = ANY(c.path))
+    )
+    UPDATE HistoricalEvents h
+    SET start_date = LEAST(h.start_date, $2), end_date = GREATEST(h.end_date, $3)
+    FROM chain
+    WHERE h.event_id = chain.event_id
+      AND (h.start_date > $2 OR h.end_date < $3)
+    RETURNING h.*
+  `, [row.event_id, start.toDate(), end.toDate()]);
+
+  const self = extended.rows.find(ancestor => ancestor.event_id === row.event_id);
+  return {
+    row: self ? { ...self, inserted: row.inserted } : row,
+    warnings: extended.rows.map(ancestor =>
+      `Extended event "${ancestor.event_name}" to span ${moment(ancestor.start_date).toISOString()} - ${moment(ancestor.end_date).toISOString()}`)
+  };
+}
+
+// Rows of the live events in a gap scope (see gapScope); with partitionBy each
+// row also carries partition_keys, the groups it belongs to
+async function selectGapEvents(scope, partitionBy = null) {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = ['deleted_at IS NULL', ...buildScopeConditions(scope, param)];
+  const partition = partitionBy ? buildPartitionKeys(partitionBy, param) : null;
+
+  const eventsQuery = `
+    ${partition ? partition.with : ''}
+    SELECT
+      event_id, event_name, description, start_date, end_date,
+      parent_event_id, metadata, duration_minutes
+      ${partition ? `, ${partition.column} AS partition_keys` : ''}
+    FROM HistoricalEvents
+    ${partition ? partition.join : ''}
+    WHERE ${conditions.join(' AND ')}
+  `;
+  const result = await query(eventsQuery, params);
+  return result.rows;
+}
+
+// Gaps between events as reported by the gap endpoints, largest first
+function labelGaps(events, minGapMinutes, { severityBuckets = DEFAULT_SEVERITY_BUCKETS, calendar = null } = {}) {
+  const measure = calendar ? (start, end) => calendar.workingMinutes(start, end) : undefined;
+  return findGaps(events, { minGapMinutes, measure })
+    .map(gap => ({
+      gapId: uuidv4(),
+      beforeEvent: gap.before.toObject(),
+      afterEvent: gap.after.toObject(),
+      gapMinutes: gap.minutes,
+      ...(calendar && { elapsedMinutes: gap.elapsedMinutes }),
+      gapStart: gap.start,
+      gapEnd: gap.end,
+      severity: gapSeverity(gap.minutes, severityBuckets)
+    }))
+    .sort((a, b) => b.gapMinutes - a.gapMinutes);
+}
+
+// Escape LIKE wildcards so user input matches literally
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
 // Event model class with database operations
 class Event {
   constructor(data) {
@@ -25,6 +256,9 @@ class Event {
     this.description = data.description || '';
     this.metadata = data.metadata || {};
     this.duration = data.duration_minutes || this.endDate.diff(this.startDate, 'minutes');
+    this.deletedAt = data.deleted_at || data.deletedAt || null;
+    // Containment warnings from the last write of this event
+    this.warnings = [];
   }
 
   // Validate event data
@@ -37,17 +271,38 @@ class Event {
     return { isValid: true, error: null, value };
   }
 
-  // Create a new event in the database
-  static async create(eventData) {
+  // Validate event data and report every failing field ({ field, type, message })
+  static validateDetailed(data) {
+    const { error, value } = eventSchema.validate(data, { abortEarly: false });
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          type: detail.type,
+          message: detail.message
+        })),
+        value: null
+      };
+    }
+    return { isValid: true, errors: [], value };
+  }
+
+  // Create a new event in the database. Arrays are written one by one;
+  // options.onConflict (see CONFLICT_POLICIES) decides what happens to existing IDs
+  // and options.actor is recorded in the event history.
+  static async create(eventData, options = {}) {
     // Handle array of events
     if (Array.isArray(eventData)) {
       const results = [];
       const errors = [];
+      const counts = { inserted: 0, updated: 0, skipped: 0 };
       
       // Process each event in the array
       for (const data of eventData) {
         try {
-          const event = await Event.createSingleEvent(data);
+          const { event, outcome } = await Event.writeSingleEvent(data, options);
+          counts[outcome]++;
           if (event)
             results.push(event);
         } catch (error) {
@@ -62,21 +317,32 @@ class Event {
         failed: errors,
         totalProcessed: eventData.length,
         successCount: results.length,
-        failureCount: errors.length
+        failureCount: errors.length,
+        insertedCount: counts.inserted,
+        updatedCount: counts.updated,
+        skippedCount: counts.skipped
       };
     } else {
       // Handle single event
-      return await Event.createSingleEvent(eventData);
+      return await Event.createSingleEvent(eventData, options);
     }
   }
   
   // Helper method to create a single event
-  static async createSingleEvent(eventData) {
+  static async createSingleEvent(eventData, options = {}) {
+    const { event } = await Event.writeSingleEvent(eventData, options);
+    return event;
+  }
+
+  // Validate and write one event under a conflict policy and a containment
+  // policy (see CONTAINMENT_POLICIES). Returns { event, outcome } where outcome
+  // is inserted, updated or skipped; event.warnings lists containment warnings.
+  static async writeSingleEvent(eventData, { onConflict = 'fail', containment = DEFAULT_CONTAINMENT_POLICY, actor } = {}) {
     try {
       const validation = Event.validate(eventData);
       
       if (!validation.isValid) {
-        return false;
+        throw new UnprocessableEntityError(validation.error);
       }
       
       const validatedData = validation.value;
@@ -86,8 +352,7 @@ class Event {
       if (validatedData.parentId) {
         const parentExists = await Event.findById(validatedData.parentId);
         if (!parentExists) {
-          console.warn(`Parent event with ID ${validatedData.parentId} does not exist. Setting parentId to null.`);
-          validatedData.parentId = null;
+          throw new UnprocessableEntityError(`Parent event ${validatedData.parentId} does not exist`);
         }
       }
       
@@ -96,7 +361,8 @@ class Event {
           event_id, event_name, description, start_date, end_date, 
           parent_event_id, metadata
         ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-        RETURNING *
+        ${conflictClause(onConflict)}
+        RETURNING *, (xmax = 0) AS inserted
       `;
       
       const values = [
@@ -109,17 +375,197 @@ class Event {
         JSON.stringify(validatedData.metadata || {})
       ];
       
-      const result = await query(insertQuery, values);
-      return new Event(result.rows[0]);
+      const written = await transaction(async (client) => {
+        const result = await client.query(insertQuery, values);
+        const row = result.rows[0];
+        // Skipped rows and metadata merges leave the stored dates alone
+        if (!row || (!row.inserted && onConflict === 'merge-metadata')) {
+          return { row, warnings: [] };
+        }
+        return await enforceContainment(client, row, containment);
+      }, { actor });
+
+      if (!written.row) {
+        return { event: await Event.findById(eventId), outcome: 'skipped' };
+      }
+      const event = new Event(written.row);
+      event.warnings = written.warnings;
+      return {
+        event,
+        outcome: written.row.inserted ? 'inserted' : 'updated'
+      };
     } catch (error) {
-      throw new Error(`Failed to create event: ${error.message}`);
+      throw fromDatabaseError(error) || new Error(`Failed to create event: ${error.message}`);
     }
   }
 
-  // Find event by ID
-  static async findById(eventId) {
+  // Insert already-validated events with a single multi-row INSERT.
+  // Pass a client to run inside a caller-managed transaction.
+  // Returns { inserted, updated, skipped } counts for the onConflict policy.
+  static async insertMany(events, client = null, { onConflict = 'fail' } = {}) {
+    if (events.length === 0) {
+      return { inserted: 0, updated: 0, skipped: 0 };
+    }
+
     try {
-      const selectQuery = 'SELECT * FROM HistoricalEvents WHERE event_id = $1';
+      const values = [];
+      const rows = events.map((data, index) => {
+        const offset = index * 7;
+        values.push(
+          data.eventId || uuidv4(),
+          data.eventName,
+          data.description || '',
+          data.startDate,
+          data.endDate,
+          data.parentId || null,
+          JSON.stringify(data.metadata || {})
+        );
+        return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7})`;
+      });
+
+      const insertQuery = `
+        INSERT INTO HistoricalEvents (
+          event_id, event_name, description, start_date, end_date,
+          parent_event_id, metadata
+        ) VALUES ${rows.join(', ')}
+        ${conflictClause(onConflict)}
+        RETURNING event_id, (xmax = 0) AS inserted
+      `;
+
+      const result = client ? await client.query(insertQuery, values) : await query(insertQuery, values);
+      const inserted = result.rows.filter(row => row.inserted).length;
+      return {
+        inserted,
+        updated: result.rows.length - inserted,
+        skipped: events.length - result.rows.length,
+        // Rows whose dates or parent were written (merge-metadata keeps them)
+        writtenIds: result.rows
+          .filter(row => row.inserted || onConflict !== 'merge-metadata')
+          .map(row => row.event_id)
+      };
+    } catch (error) {
+      throw fromDatabaseError(error) || new Error(`Failed to insert events: ${error.message}`);
+    }
+  }
+
+  // Apply a containment policy to events just written through client in bulk
+  // (e.g. an ingestion batch), with one violation query for the lot. Returns a
+  // Map of event ID to warnings, each violation being reported against the
+  // written event it concerns; 'reject' throws with the violations instead.
+  static async enforceContainmentMany(eventIds, client, policy = DEFAULT_CONTAINMENT_POLICY) {
+    const warnings = new Map();
+    if (policy === 'ignore' || eventIds.length === 0) {
+      return warnings;
+    }
+
+    let violations;
+    try {
+      const result = await client.query(
+        hierarchyViolationsQuery('(c.event_id = ANY($1::uuid[]) OR c.parent_event_id = ANY($1::uuid[]))'),
+        [eventIds]
+      );
+      violations = result.rows;
+    } catch (error) {
+      throw new Error(`Failed to check containment: ${error.message}`);
+    }
+    if (violations.length === 0) {
+      return warnings;
+    }
+
+    if (policy === 'reject') {
+      throw new UnprocessableEntityError('Event dates break the hierarchy containment', violations.map(toContainmentViolation));
+    }
+
+    // A stored child sticking out of a written parent is the parent's problem
+    const written = new Set(eventIds.map(id => id.toLowerCase()));
+    const report = (eventId, messages) => {
+      const key = eventId.toLowerCase();
+      warnings.set(key, [...(warnings.get(key) || []), ...messages]);
+    };
+
+    if (policy === 'warn') {
+      violations.forEach(row => {
+        const { message } = toContainmentViolation(row);
+        console.warn(message);
+        report(written.has(row.event_id) ? row.event_id : row.parent_id, [message]);
+      });
+      return warnings;
+    }
+
+    // extend-parent: widen each offending written event's ancestors, or the
+    // written event itself when its stored children stick out
+    const offenders = new Map();
+    violations.forEach(row => {
+      const offender = written.has(row.event_id)
+        ? { event_id: row.event_id, start_date: row.start_date, end_date: row.end_date }
+        : { event_id: row.parent_id, start_date: row.parent_start_date, end_date: row.parent_end_date };
+      offenders.set(offender.event_id, offender);
+    });
+    for (const offender of offenders.values()) {
+      const { warnings: extensions } = await enforceContainment(client, offender, policy);
+      report(offender.event_id, extensions);
+    }
+    return warnings;
+  }
+
+  // Describe how child sticks out of parent the way write-time containment
+  // reports it, or return null when it lies within. Both are rows with
+  // event_id, event_name, start_date and end_date (e.g. from findHierarchyRanges).
+  static containmentViolation(child, parent) {
+    const outside = moment(child.start_date).isBefore(parent.start_date) || moment(child.end_date).isAfter(parent.end_date);
+    return outside
+      ? toContainmentViolation({
+        ...child,
+        parent_id: parent.event_id,
+        parent_name: parent.event_name,
+        parent_start_date: parent.start_date,
+        parent_end_date: parent.end_date
+      })
+      : null;
+  }
+
+  // Dates and parents of the given live events and of their live children
+  static async findHierarchyRanges(eventIds) {
+    if (eventIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const result = await query(`
+        SELECT event_id, event_name, parent_event_id, start_date, end_date
+        FROM HistoricalEvents
+        WHERE (event_id = ANY($1::uuid[]) OR parent_event_id = ANY($1::uuid[]))
+          AND deleted_at IS NULL
+      `, [eventIds]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to look up event dates: ${error.message}`);
+    }
+  }
+
+  // Return the subset of the given IDs that exist in the database. Events in
+  // the trash are left out unless includeDeleted is set (their IDs stay taken).
+  static async findExistingIds(eventIds, client = null, { includeDeleted = false } = {}) {
+    if (eventIds.length === 0) {
+      return new Set();
+    }
+
+    try {
+      const selectQuery = `
+        SELECT event_id FROM HistoricalEvents
+        WHERE event_id = ANY($1::uuid[])${includeDeleted ? '' : ' AND deleted_at IS NULL'}
+      `;
+      const result = client ? await client.query(selectQuery, [eventIds]) : await query(selectQuery, [eventIds]);
+      return new Set(result.rows.map(row => row.event_id));
+    } catch (error) {
+      throw new Error(`Failed to look up events: ${error.message}`);
+    }
+  }
+
+  // Find event by ID, ignoring events in the trash unless includeDeleted is set
+  static async findById(eventId, { includeDeleted = false } = {}) {
+    try {
+      const selectQuery = `SELECT * FROM HistoricalEvents WHERE event_id = $1${includeDeleted ? '' : ' AND deleted_at IS NULL'}`;
       const result = await query(selectQuery, [eventId]);
       
       if (result.rows.length === 0) {
@@ -132,13 +578,20 @@ class Event {
     }
   }
 
-  // Update event in database
-  async update(updateData) {
+  // Update event in database with updateData merged over it, under a containment
+  // policy (see CONTAINMENT_POLICIES); warnings are left in this.warnings
+  async update(updateData, { containment = DEFAULT_CONTAINMENT_POLICY, actor } = {}) {
     try {
-      const validation = Event.validate({ ...this.toObject(), ...updateData });
+      // duration and deletedAt are managed by the database and warnings belong
+      // to the last write; none of them are part of the schema
+      const current = this.toObject();
+      delete current.duration;
+      delete current.deletedAt;
+      delete current.warnings;
+      const validation = Event.validate({ ...current, ...updateData });
       
       if (!validation.isValid) {
-        throw new Error(`Validation error update: ${validation.error}`);
+        throw new UnprocessableEntityError(validation.error);
       }
       
       const validatedData = validation.value;
@@ -147,8 +600,7 @@ class Event {
       if (validatedData.parentId) {
         const parentExists = await Event.findById(validatedData.parentId);
         if (!parentExists) {
-          console.warn(`Parent event with ID ${validatedData.parentId} does not exist. Setting parentId to null.`);
-          validatedData.parentId = null;
+          throw new UnprocessableEntityError(`Parent event ${validatedData.parentId} does not exist`);
         }
       }
       
@@ -170,28 +622,251 @@ class Event {
         JSON.stringify(validatedData.metadata || {})
       ];
       
-      const result = await query(updateQuery, values);
-      const updatedEvent = new Event(result.rows[0]);
+      const { row, warnings } = await transaction(async (client) => {
+        const result = await client.query(updateQuery, values);
+        return await enforceContainment(client, result.rows[0], containment);
+      }, { actor });
+      const updatedEvent = new Event(row);
       
       // Update current instance
-      Object.assign(this, updatedEvent);
+      Object.assign(this, updatedEvent, { warnings });
       return this;
     } catch (error) {
-      throw new Error(`Failed to update event: ${error.message}`);
+      throw fromDatabaseError(error) || new Error(`Failed to update event: ${error.message}`);
     }
   }
 
-  // Delete event from database
-  async delete() {
+  // Move event to the trash. Its children are detached (becoming roots) and
+  // remember the link so restoring the event can re-attach them.
+  async delete({ actor } = {}) {
     try {
-      const deleteQuery = 'DELETE FROM HistoricalEvents WHERE event_id = $1';
-      await query(deleteQuery, [this.eventId]);
+      this.deletedAt = await transaction(async (client) => {
+        const result = await client.query(
+          'UPDATE HistoricalEvents SET deleted_at = NOW() WHERE event_id = $1 AND deleted_at IS NULL RETURNING deleted_at',
+          [this.eventId]
+        );
+        await client.query(
+          'UPDATE HistoricalEvents SET parent_event_id = NULL, detached_parent_id = $1 WHERE parent_event_id = $1',
+          [this.eventId]
+        );
+        return result.rows.length > 0 ? result.rows[0].deleted_at : this.deletedAt;
+      }, { actor, reason: 'Moved to trash' });
       return true;
     } catch (error) {
       throw new Error(`Failed to delete event: ${error.message}`);
     }
   }
 
+  // Take event out of the trash together with descendants trashed along with
+  // it (see deleteSubtree), re-attaching the children detached when it was
+  // deleted unless they have been given another parent since. An event whose
+  // parent is still in the trash is detached from it the way delete detaches
+  // children, and re-attached when that parent is restored.
+  // Returns the relinked and restoredDescendants counts and detachedFrom, the
+  // trashed parent's ID or null.
+  async restoreFromTrash({ actor } = {}) {
+    try {
+      const { event, relinked, restoredDescendants, detachedFrom } = await transaction(async (client) => {
+        const descendants = await client.query(`
+          WITH RECURSIVE root AS (
+            SELECT deleted_at FROM HistoricalEvents WHERE event_id = $1
+          ), subtree AS (
+            SELECT e.event_id FROM HistoricalEvents e, root
+            WHERE e.parent_event_id = $1 AND e.deleted_at = root.deleted_at
+            UNION
+            SELECT e.event_id FROM HistoricalEvents e
+            JOIN subtree s ON e.parent_event_id = s.event_id, root
+            WHERE e.deleted_at = root.deleted_at
+          )
+          UPDATE HistoricalEvents SET deleted_at = NULL
+          WHERE event_id IN (SELECT event_id FROM subtree)
+        `, [this.eventId]);
+        const parent = await client.query(`
+          SELECT p.event_id FROM HistoricalEvents e
+          JOIN HistoricalEvents p ON p.event_id = e.parent_event_id
+          WHERE e.event_id = $1 AND p.deleted_at IS NOT NULL
+        `, [this.eventId]);
+        const trashedParentId = parent.rows.length > 0 ? parent.rows[0].event_id : null;
+        const result = await client.query(`
+          UPDATE HistoricalEvents
+          SET deleted_at = NULL,
+              parent_event_id = CASE WHEN $2::uuid IS NULL THEN parent_event_id END,
+              detached_parent_id = COALESCE($2::uuid, detached_parent_id)
+          WHERE event_id = $1
+          RETURNING *
+        `, [this.eventId, trashedParentId]);
+        const children = await client.query(`
+          UPDATE HistoricalEvents
+          SET parent_event_id = COALESCE(parent_event_id, $1), detached_parent_id = NULL
+          WHERE detached_parent_id = $1
+          RETURNING parent_event_id
+        `, [this.eventId]);
+        return {
+          event: result.rows[0],
+          relinked: children.rows.filter(row => row.parent_event_id === this.eventId).length,
+          restoredDescendants: descendants.rowCount,
+          detachedFrom: trashedParentId
+        };
+      }, { actor, reason: 'Restored from trash' });
+
+      Object.assign(this, new Event(event));
+      return { relinked, restoredDescendants, detachedFrom };
+    } catch (error) {
+      throw new Error(`Failed to restore event: ${error.message}`);
+    }
+  }
+
+  // Move event, with its whole subtree, under another parent (null makes it a
+  // root). The parent must exist and not be one of the event's descendants.
+  async moveTo(parentId, { actor } = {}) {
+    try {
+      if (parentId && !await Event.findById(parentId)) {
+        throw new UnprocessableEntityError(`Parent event ${parentId} does not exist`);
+      }
+
+      const row = await transaction(async (client) => {
+        await client.query(HIERARCHY_LOCK);
+        const result = await client.query(`
+          UPDATE HistoricalEvents
+          SET parent_event_id = $2, detached_parent_id = NULL
+          WHERE event_id = $1 AND deleted_at IS NULL
+          RETURNING *
+        `, [this.eventId, parentId]);
+        return result.rows[0];
+      }, { actor, reason: parentId ? `Moved under ${parentId}` : 'Detached from parent' });
+
+      Object.assign(this, new Event(row));
+      return this;
+    } catch (error) {
+      throw fromDatabaseError(error) || new Error(`Failed to move event: ${error.message}`);
+    }
+  }
+
+  // Move event and its descendants to the trash (mode 'cascade'), or only the
+  // event with its children taking its parent (mode 'promote'); see SUBTREE_DELETE_MODES.
+  // Returns { deleted, promoted } counts.
+  async deleteSubtree({ mode = 'cascade', actor } = {}) {
+    try {
+      return await transaction(async (client) => {
+        await client.query(HIERARCHY_LOCK);
+
+        if (mode === 'promote') {
+          const deleted = await client.query(
+            'UPDATE HistoricalEvents SET deleted_at = NOW() WHERE event_id = $1 AND deleted_at IS NULL',
+            [this.eventId]
+          );
+          const promoted = await client.query(
+            'UPDATE HistoricalEvents SET parent_event_id = $2 WHERE parent_event_id = $1',
+            [this.eventId, this.parentId || null]
+          );
+          return { deleted: deleted.rowCount, promoted: promoted.rowCount };
+        }
+
+        // One timestamp for the whole subtree lets restoreFromTrash bring it back together
+        const deleted = await client.query(`
+          WITH RECURSIVE subtree AS (
+            SELECT event_id FROM HistoricalEvents WHERE event_id = $1 AND deleted_at IS NULL
+            UNION
+            SELECT e.event_id FROM HistoricalEvents e
+            JOIN subtree s ON e.parent_event_id = s.event_id
+            WHERE e.deleted_at IS NULL
+          )
+          UPDATE HistoricalEvents SET deleted_at = NOW()
+          WHERE event_id IN (SELECT event_id FROM subtree)
+        `, [this.eventId]);
+        return { deleted: deleted.rowCount, promoted: 0 };
+      }, { actor, reason: `Subtree deleted (${mode})` });
+    } catch (error) {
+      throw fromDatabaseError(error) || new Error(`Failed to delete subtree: ${error.message}`);
+    }
+  }
+
+  // Permanently delete event from database
+  async purge({ actor } = {}) {
+    try {
+      await Event.purgeIds([this.eventId], { actor });
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to purge event: ${error.message}`);
+    }
+  }
+
+  // Permanently delete events that are in the trash, dropping the links their
+  // detached children remember
+  static async purgeIds(eventIds, { actor, reason } = {}) {
+    return await transaction(async (client) => {
+      await client.query(
+        'UPDATE HistoricalEvents SET detached_parent_id = NULL WHERE detached_parent_id = ANY($1::uuid[])',
+        [eventIds]
+      );
+      const result = await client.query(
+        'DELETE FROM HistoricalEvents WHERE event_id = ANY($1::uuid[]) AND deleted_at IS NOT NULL',
+        [eventIds]
+      );
+      return result.rowCount;
+    }, { actor, reason });
+  }
+
+  // Permanently delete events that have been in the trash longer than the retention period
+  static async purgeExpired(retentionDays = DEFAULT_TRASH_RETENTION_DAYS) {
+    try {
+      const result = await query(
+        `SELECT event_id FROM HistoricalEvents WHERE deleted_at < NOW() - ($1 || ' days')::interval`,
+        [String(retentionDays)]
+      );
+      if (result.rows.length === 0) {
+        return 0;
+      }
+      return await Event.purgeIds(result.rows.map(row => row.event_id), {
+        actor: 'trash-purge',
+        reason: `In trash longer than ${retentionDays} days`
+      });
+    } catch (error) {
+      throw new Error(`Failed to purge trash: ${error.message}`);
+    }
+  }
+
+  // Write a stored snapshot (a HistoricalEvents row from event_history) back as
+  // the current state of the event, recreating it if it was deleted. The parent
+  // must still exist, and the containment policy applies as for update; warnings
+  // are left in the returned event's warnings.
+  static async restore(snapshot, { containment = DEFAULT_CONTAINMENT_POLICY, actor, reason } = {}) {
+    try {
+      const parentId = snapshot.parent_event_id || null;
+      if (parentId && !await Event.findById(parentId)) {
+        throw new UnprocessableEntityError(`Parent event ${parentId} does not exist`);
+      }
+
+      const restoreQuery = `
+        INSERT INTO HistoricalEvents (
+          event_id, event_name, description, start_date, end_date,
+          parent_event_id, metadata, deleted_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ${conflictClause('overwrite')}, deleted_at = EXCLUDED.deleted_at
+        RETURNING *
+      `;
+
+      const values = [
+        snapshot.event_id,
+        snapshot.event_name,
+        snapshot.description || '',
+        snapshot.start_date,
+        snapshot.end_date,
+        parentId,
+        JSON.stringify(snapshot.metadata || {}),
+        snapshot.deleted_at || null
+      ];
+
+      const { row, warnings } = await transaction(async (client) => {
+        const result = await client.query(restoreQuery, values);
+        return await enforceContainment(client, result.rows[0], containment);
+      }, { actor, reason });
+      return Object.assign(new Event(row), { warnings });
+    } catch (error) {
+      throw fromDatabaseError(error) || new Error(`Failed to restore event: ${error.message}`);
+    }
+  }
+
   // Check if event overlaps with another event
   overlaps(otherEvent) {
     return this.startDate.isBefore(otherEvent.endDate) && 
@@ -221,7 +896,9 @@ class Event {
       parentId: this.parentId,
       description: this.description,
       metadata: this.metadata,
-      duration: this.duration
+      duration: this.duration,
+      ...(this.deletedAt && { deletedAt: this.deletedAt }),
+      ...(this.warnings.length > 0 && { warnings: this.warnings })
     };
   }
 }
@@ -233,8 +910,8 @@ class EventCollection {
   }
 
   // Add event to database
-  async addEvent(eventData) {
-    return await Event.create(eventData);
+  async addEvent(eventData, options = {}) {
+    return await Event.create(eventData, options);
   }
 
   // Get event by ID
@@ -245,7 +922,7 @@ class EventCollection {
   // Get all events
   async getAllEvents() {
     try {
-      const selectQuery = 'SELECT * FROM HistoricalEvents ORDER BY start_date ASC';
+      const selectQuery = 'SELECT * FROM HistoricalEvents WHERE deleted_at IS NULL ORDER BY start_date ASC';
       const result = await query(selectQuery);
       return result.rows.map(row => new Event(row));
     } catch (error) {
@@ -253,6 +930,144 @@ class EventCollection {
     }
   }
 
+  // Search events with filtering, sorting and pagination done in SQL.
+  // filters: { q (full-text query, see utils/textSearch), name, startDateAfter,
+  //            startDateBefore, endDateAfter, endDateBefore,
+  //            parentId (null for root events), metadata (see utils/metadataFilter),
+  //            tags, tagMatch (see utils/tagFilter) }
+  // Pages either by limit/offset or by a decoded keyset cursor (see utils/cursor),
+  // which takes precedence over offset.
+  // Returns { events, total, nextCursor, prevCursor } where total ignores paging.
+  // With q, hits lines up with events: { eventId, rank, highlights: { eventName, description } }.
+  async searchEvents({
+    q,
+    name,
+    startDateAfter,
+    startDateBefore,
+    endDateAfter,
+    endDateBefore,
+    parentId,
+    metadata = {},
+    tags = [],
+    tagMatch = 'all',
+    sortBy = 'start_date',
+    sortOrder = 'asc',
+    limit,
+    offset = 0,
+    cursor
+  } = {}) {
+    try {
+      const conditions = ['deleted_at IS NULL'];
+      const params = [];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      // Full-text queries join a one-row derived table so the tsquery is built once
+      let from = 'HistoricalEvents';
+      const tsquery = q ? buildTsQuery(q, param) : null;
+      if (tsquery) {
+        from = `HistoricalEvents, (SELECT ${tsquery} AS tsq) search_query`;
+        conditions.push('search_vector @@ search_query.tsq');
+      } else if (q) {
+        conditions.push('FALSE');
+      }
+
+      if (name) {
+        conditions.push(`event_name ILIKE ${param(`%${escapeLike(name)}%`)}`);
+      }
+      if (startDateAfter) {
+        conditions.push(`start_date >= ${param(startDateAfter)}`);
+      }
+      if (startDateBefore) {
+        conditions.push(`start_date <= ${param(startDateBefore)}`);
+      }
+      if (endDateAfter) {
+        conditions.push(`end_date >= ${param(endDateAfter)}`);
+      }
+      if (endDateBefore) {
+        conditions.push(`end_date <= ${param(endDateBefore)}`);
+      }
+      if (parentId === null) {
+        conditions.push('parent_event_id IS NULL');
+      } else if (parentId) {
+        conditions.push(`parent_event_id = ${param(parentId)}`);
+      }
+      conditions.push(...buildMetadataConditions(metadata, param));
+      const tagCondition = buildTagCondition(tags, tagMatch, param);
+      if (tagCondition) {
+        conditions.push(tagCondition);
+      }
+
+      const filterConditions = [...conditions];
+      const filterParams = [...params];
+      const { column, type } = SEARCH_SORT_COLUMNS[sortBy] && (sortBy !== 'relevance' || tsquery)
+        ? SEARCH_SORT_COLUMNS[sortBy]
+        : SEARCH_SORT_COLUMNS.start_date;
+      const sort = `${sortBy}:${sortOrder}`;
+
+      // Reading backward from a cursor flips the order; the page is reversed afterwards
+      const descending = (sortOrder === 'desc') !== Boolean(cursor && cursor.direction === 'before');
+      const direction = descending ? 'DESC' : 'ASC';
+      if (cursor) {
+        const [value, eventId] = cursor.key;
+        conditions.push(`(${column}, event_id) ${descending ? '<' : '>'} (${param(value)}::${type}, ${param(eventId)}::uuid)`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const filterWhere = filterConditions.length > 0 ? `WHERE ${filterConditions.join(' AND ')}` : '';
+      const skip = cursor ? 0 : offset;
+
+      const searchColumns = tsquery ? `,
+          ts_rank_cd(search_vector, search_query.tsq) AS search_rank,
+          ts_headline('${SEARCH_CONFIG}', event_name, search_query.tsq, '${HEADLINE_OPTIONS.name}') AS name_highlight,
+          ts_headline('${SEARCH_CONFIG}', COALESCE(description, ''), search_query.tsq, '${HEADLINE_OPTIONS.description}') AS description_highlight` : '';
+
+      const selectQuery = `
+        SELECT HistoricalEvents.*, ${column} AS sort_value${searchColumns}
+        FROM ${from}
+        ${where}
+        ORDER BY ${column} ${direction}, event_id ${direction}
+        ${limit !== undefined ? `LIMIT ${param(limit + 1)}` : ''}
+        OFFSET ${param(skip)}
+      `;
+      const countQuery = `SELECT COUNT(*) AS total FROM ${from} ${filterWhere}`;
+
+      const [result, countResult] = await Promise.all([
+        query(selectQuery, params),
+        query(countQuery, filterParams)
+      ]);
+
+      const { page, nextCursor, prevCursor } = pageFromRows(result.rows, {
+        limit,
+        cursor,
+        sort,
+        skipped: skip > 0,
+        keyOf: (row) => [row.sort_value instanceof Date ? row.sort_value.toISOString() : row.sort_value, row.event_id]
+      });
+
+      return {
+        events: page.map(row => new Event(row)),
+        total: parseInt(countResult.rows[0].total),
+        nextCursor,
+        prevCursor,
+        ...(tsquery && {
+          hits: page.map(row => ({
+            eventId: row.event_id,
+            rank: row.search_rank,
+            highlights: {
+              eventName: row.name_highlight,
+              description: row.description_highlight
+            }
+          }))
+        })
+      };
+    } catch (error) {
+      throw new Error(`Failed to search events: ${error.message}`);
+    }
+  }
+
   // Get events sorted by start date
   async getEventsSortedByStartDate() {
     return await this.getAllEvents();
@@ -261,7 +1076,7 @@ class EventCollection {
   // Get child events of a parent
   async getChildEvents(parentId) {
     try {
-      const selectQuery = 'SELECT * FROM HistoricalEvents WHERE parent_event_id = $1 ORDER BY start_date ASC';
+      const selectQuery = 'SELECT * FROM HistoricalEvents WHERE parent_event_id = $1 AND deleted_at IS NULL ORDER BY start_date ASC';
       const result = await query(selectQuery, [parentId]);
       return result.rows.map(row => new Event(row));
     } catch (error) {
@@ -272,7 +1087,7 @@ class EventCollection {
   // Get root events (events without parents)
   async getRootEvents() {
     try {
-      const selectQuery = 'SELECT * FROM HistoricalEvents WHERE parent_event_id IS NULL ORDER BY start_date ASC';
+      const selectQuery = 'SELECT * FROM HistoricalEvents WHERE parent_event_id IS NULL AND deleted_at IS NULL ORDER BY start_date ASC';
       const result = await query(selectQuery);
       return result.rows.map(row => new Event(row));
     } catch (error) {
@@ -280,65 +1095,327 @@ class EventCollection {
     }
   }
 
-  // Find temporal gaps between events
-  async findTemporalGaps(minGapMinutes = 0) {
+  // Ancestors of an event as a breadcrumb, from the root down to its parent.
+  // Returns [{ event, depth }] where depth 0 is the root.
+  async getAncestors(eventId) {
     try {
-      const gapsQuery = `
-        WITH ordered_events AS (
-          SELECT 
-            event_id, event_name, description, start_date, end_date, 
+      const ancestorsQuery = `
+        WITH RECURSIVE ancestors AS (
+          SELECT
+            e.event_id, e.event_name, e.description, e.start_date, e.end_date,
+            e.parent_event_id, e.metadata, e.duration_minutes,
+            1 AS distance,
+            ARRAY[child.event_id, e.event_id] AS path
+          FROM HistoricalEvents child
+          JOIN HistoricalEvents e ON e.event_id = child.parent_event_id
+          WHERE child.event_id = $1 AND e.deleted_at IS NULL
+
+          UNION ALL
+
+          SELECT
+            e.event_id, e.event_name, e.description, e.start_date, e.end_date,
+            e.parent_event_id, e.metadata, e.duration_minutes,
+            a.distance + 1,
+            a.path || e.event_id
+          FROM HistoricalEvents e
+          JOIN ancestors a ON e.event_id = a.parent_event_id
+          WHERE e.deleted_at IS NULL
+            AND NOT (e.event_id = ANY(a.path))
+        )
+        SELECT * FROM ancestors ORDER BY distance DESC
+      `;
+      const result = await query(ancestorsQuery, [eventId]);
+      return result.rows.map((row, index) => ({ event: new Event(row), depth: index }));
+    } catch (error) {
+      throw new Error(`Failed to get ancestors: ${error.message}`);
+    }
+  }
+
+  // All descendants of an event as a flat list ordered by depth, then start date.
+  // Returns [{ event, depth }] where depth 1 is a child; maxDepth limits the walk.
+  async getDescendants(eventId, { maxDepth } = {}) {
+    try {
+      const params = [eventId];
+      let depthCondition = '';
+      if (maxDepth !== undefined) {
+        params.push(maxDepth);
+        depthCondition = 'AND d.depth < $2';
+      }
+      const descendantsQuery = `
+        WITH RECURSIVE descendants AS (
+          SELECT
+            event_id, event_name, description, start_date, end_date,
             parent_event_id, metadata, duration_minutes,
-            LAG(end_date) OVER (ORDER BY start_date) as prev_end_date,
-            LEAD(start_date) OVER (ORDER BY start_date) as next_start_date
+            1 AS depth,
+            ARRAY[parent_event_id, event_id] AS path
           FROM HistoricalEvents
-          ORDER BY start_date
+          WHERE parent_event_id = $1 AND deleted_at IS NULL
+
+          UNION ALL
+
+          SELECT
+            e.event_id, e.event_name, e.description, e.start_date, e.end_date,
+            e.parent_event_id, e.metadata, e.duration_minutes,
+            d.depth + 1,
+            d.path || e.event_id
+          FROM HistoricalEvents e
+          JOIN descendants d ON e.parent_event_id = d.event_id
+          WHERE e.deleted_at IS NULL
+            AND NOT (e.event_id = ANY(d.path))
+            ${depthCondition}
         )
-        SELECT 
-          uuid_generate_v4() as gap_id,
-          prev_event.event_id as before_event_id,
-          prev_event.event_name as before_event_name,
-          prev_event.end_date as gap_start,
-          next_event.start_date as gap_end,
-          EXTRACT(EPOCH FROM (next_event.start_date - prev_event.end_date)) / 60 as gap_minutes,
-          CASE 
-            WHEN EXTRACT(EPOCH FROM (next_event.start_date - prev_event.end_date)) / 60 < 30 THEN 'low'
-            WHEN EXTRACT(EPOCH FROM (next_event.start_date - prev_event.end_date)) / 60 < 120 THEN 'medium'
-            WHEN EXTRACT(EPOCH FROM (next_event.start_date - prev_event.end_date)) / 60 < 480 THEN 'high'
-            ELSE 'critical'
-          END as severity
-        FROM ordered_events prev_event
-        JOIN ordered_events next_event ON prev_event.event_id = next_event.event_id
-        WHERE prev_event.end_date IS NOT NULL 
-          AND next_event.start_date IS NOT NULL
-          AND EXTRACT(EPOCH FROM (next_event.start_date - prev_event.end_date)) / 60 >= $1
-        ORDER BY gap_minutes DESC
+        SELECT * FROM descendants ORDER BY depth, start_date, event_id
       `;
-      
-      const result = await query(gapsQuery, [minGapMinutes]);
-      
-      // Get full event details for before and after events
-      const gaps = [];
-      for (const gap of result.rows) {
-        const beforeEvent = await Event.findById(gap.before_event_id);
-        const afterEvent = await Event.findById(gap.before_event_id); // This needs to be fixed
-        
-        gaps.push({
-          gapId: gap.gap_id,
-          beforeEvent: beforeEvent ? beforeEvent.toObject() : null,
-          afterEvent: afterEvent ? afterEvent.toObject() : null,
-          gapMinutes: parseInt(gap.gap_minutes),
-          gapStart: gap.gap_start,
-          gapEnd: gap.gap_end,
-          severity: gap.severity
-        });
+      const result = await query(descendantsQuery, params);
+      return result.rows.map(row => ({ event: new Event(row), depth: row.depth }));
+    } catch (error) {
+      throw new Error(`Failed to get descendants: ${error.message}`);
+    }
+  }
+
+  // Other events with the same parent (other root events for a root), by start date
+  async getSiblings(eventId) {
+    try {
+      const siblingsQuery = `
+        SELECT s.* FROM HistoricalEvents e
+        JOIN HistoricalEvents s
+          ON s.parent_event_id IS NOT DISTINCT FROM e.parent_event_id
+          AND s.event_id <> e.event_id
+        WHERE e.event_id = $1 AND s.deleted_at IS NULL
+        ORDER BY s.start_date ASC, s.event_id ASC
+      `;
+      const result = await query(siblingsQuery, [eventId]);
+      return result.rows.map(row => new Event(row));
+    } catch (error) {
+      throw new Error(`Failed to get siblings: ${error.message}`);
+    }
+  }
+
+  // Every root-to-leaf path through an event: its ancestors, the event, then
+  // each chain of descendants down to a leaf. Returns an array of Event arrays
+  // (a single path ending at the event when it has no children).
+  async getLineage(eventId) {
+    const event = await this.getEvent(eventId);
+    if (!event) {
+      return [];
+    }
+
+    const [ancestors, descendants] = await Promise.all([
+      this.getAncestors(eventId),
+      this.getDescendants(eventId)
+    ]);
+
+    const prefix = [...ancestors.map(({ event: ancestor }) => ancestor), event];
+    const childrenOf = new Map();
+    descendants.forEach(({ event: descendant }) => {
+      const siblings = childrenOf.get(descendant.parentId) || [];
+      siblings.push(descendant);
+      childrenOf.set(descendant.parentId, siblings);
+    });
+
+    // Depth-first walk; descendants are already sorted by start date
+    const paths = [];
+    const walk = (node, path) => {
+      const children = childrenOf.get(node.eventId) || [];
+      if (children.length === 0) {
+        paths.push(path);
+        return;
       }
-      
-      return gaps;
+      children.forEach(child => walk(child, [...path, child]));
+    };
+    walk(event, prefix);
+    return paths;
+  }
+
+  // Fetch the subtree under rootId in one recursive query, as a flat list in
+  // depth order with siblings sorted by sortBy (a SEARCH_SORT_COLUMNS key other
+  // than relevance). startDate/endDate keep only descendants overlapping the
+  // window (a descendant outside it hides its own subtree); the root is always
+  // included. Nodes deeper than maxDepth are left out, but childCount and the
+  // subtree aggregates still cover the whole windowed subtree.
+  // Returns [{ event, depth, childCount, subtree: { eventCount, totalDuration, start, end } }],
+  // empty when the root does not exist.
+  async getSubtree(rootId, { maxDepth, startDate, endDate, sortBy = 'start_date', sortOrder = 'asc' } = {}) {
+    try {
+      const params = [rootId];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      const windowConditions = [];
+      if (startDate) {
+        windowConditions.push(`e.end_date >= ${param(startDate)}`);
+      }
+      if (endDate) {
+        windowConditions.push(`e.start_date <= ${param(endDate)}`);
+      }
+      const depthCondition = maxDepth !== undefined ? `WHERE s.depth <= ${param(maxDepth)}` : '';
+      const { column } = sortBy !== 'relevance' && SEARCH_SORT_COLUMNS[sortBy] || SEARCH_SORT_COLUMNS.start_date;
+      const direction = sortOrder === 'desc' ? 'DESC' : 'ASC';
+
+      const subtreeQuery = `
+        WITH RECURSIVE subtree AS (
+          SELECT
+            event_id, event_name, description, start_date, end_date,
+            parent_event_id, metadata, duration_minutes,
+            0 AS depth,
+            ARRAY[event_id] AS path
+          FROM HistoricalEvents
+          WHERE event_id = $1 AND deleted_at IS NULL
+
+          UNION ALL
+
+          SELECT
+            e.event_id, e.event_name, e.description, e.start_date, e.end_date,
+            e.parent_event_id, e.metadata, e.duration_minutes,
+            s.depth + 1,
+            s.path || e.event_id
+          FROM HistoricalEvents e
+          JOIN subtree s ON e.parent_event_id = s.event_id
+          WHERE e.deleted_at IS NULL
+            AND NOT (e.event_id = ANY(s.path))
+            ${windowConditions.map(condition => `AND ${condition}`).join(' ')}
+        ),
+        children AS (
+          SELECT parent_event_id AS event_id, COUNT(*) AS child_count
+          FROM subtree
+          WHERE depth > 0
+          GROUP BY parent_event_id
+        ),
+        totals AS (
+          SELECT
+            n.event_id,
+            COUNT(*) AS subtree_events,
+            SUM(d.duration_minutes) AS subtree_duration,
+            MIN(d.start_date) AS subtree_start,
+            MAX(d.end_date) AS subtree_end
+          FROM subtree n
+          JOIN subtree d ON n.event_id = ANY(d.path)
+          GROUP BY n.event_id
+        )
+        SELECT s.*, COALESCE(c.child_count, 0) AS child_count,
+          t.subtree_events, t.subtree_duration, t.subtree_start, t.subtree_end
+        FROM subtree s
+        JOIN totals t ON t.event_id = s.event_id
+        LEFT JOIN children c ON c.event_id = s.event_id
+        ${depthCondition}
+        ORDER BY s.depth, s.${column} ${direction}, s.event_id
+      `;
+
+      const result = await query(subtreeQuery, params);
+      return result.rows.map(row => ({
+        event: new Event(row),
+        depth: row.depth,
+        childCount: parseInt(row.child_count),
+        subtree: {
+          eventCount: parseInt(row.subtree_events),
+          totalDuration: parseInt(row.subtree_duration) || 0,
+          start: row.subtree_start,
+          end: row.subtree_end
+        }
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get event subtree: ${error.message}`);
+    }
+  }
+
+  // Get events in the trash, most recently deleted first. Returns { events, total }.
+  async getDeletedEvents({ limit = 50, offset = 0 } = {}) {
+    try {
+      const selectQuery = `
+        SELECT * FROM HistoricalEvents
+        WHERE deleted_at IS NOT NULL
+        ORDER BY deleted_at DESC, event_id ASC
+        LIMIT $1 OFFSET $2
+      `;
+      const countQuery = 'SELECT COUNT(*) AS total FROM HistoricalEvents WHERE deleted_at IS NOT NULL';
+      const [result, countResult] = await Promise.all([
+        query(selectQuery, [limit, offset]),
+        query(countQuery)
+      ]);
+      return {
+        events: result.rows.map(row => new Event(row)),
+        total: parseInt(countResult.rows[0].total)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get deleted events: ${error.message}`);
+    }
+  }
+
+  // Events that start before or end after their parent, by start date (see
+  // CONTAINMENT_POLICIES for how writes treat them)
+  async findHierarchyViolations() {
+    try {
+      const result = await query(hierarchyViolationsQuery());
+      return result.rows.map(toContainmentViolation);
+    } catch (error) {
+      throw new Error(`Failed to find hierarchy violations: ${error.message}`);
+    }
+  }
+
+  // Find temporal gaps between events, optionally within a scope: a root event's
+  // subtree, listed events, or metadata and tag filters (see gapScope). Overlapping
+  // and nested events count as one covered stretch (see findGaps); gaps are
+  // labelled with severityBuckets and returned largest first. With a calendar
+  // (see WorkingCalendar) gaps are measured in working minutes.
+  async findTemporalGaps(minGapMinutes = 0, { severityBuckets, calendar, ...scope } = {}) {
+    try {
+      const rows = await selectGapEvents(scope);
+      return labelGaps(rows.map(row => new Event(row)), minGapMinutes, { severityBuckets, calendar });
     } catch (error) {
       throw new Error(`Failed to find temporal gaps: ${error.message}`);
     }
   }
 
+  // Live events in a gap scope (see gapScope), for gap analysis done in memory
+  async findGapEvents(scope = {}) {
+    try {
+      const rows = await selectGapEvents(scope);
+      return rows.map(row => new Event(row));
+    } catch (error) {
+      throw new Error(`Failed to find gap events: ${error.message}`);
+    }
+  }
+
+  // Gaps between the given events, labelled like findTemporalGaps. Nothing is
+  // read from the database, so events may be a what-if version of the timeline.
+  gapsBetween(events, minGapMinutes = 0, { severityBuckets, calendar } = {}) {
+    return labelGaps(events, minGapMinutes, { severityBuckets, calendar });
+  }
+
+  // Find temporal gaps separately within each group of partitionBy (tag, root or
+  // metadata.<key>), taking the same options as findTemporalGaps. Returns
+  // [{ partition, eventCount, gaps }] by partition, the null group (events without
+  // a key) last.
+  async findPartitionedGaps(minGapMinutes = 0, partitionBy, { severityBuckets, calendar, ...scope } = {}) {
+    try {
+      const rows = await selectGapEvents(scope, partitionBy);
+
+      const groups = new Map();
+      for (const row of rows) {
+        const event = new Event(row);
+        const keys = row.partition_keys.length > 0 ? row.partition_keys : [null];
+        for (const key of keys) {
+          if (!groups.has(key)) {
+            groups.set(key, []);
+          }
+          groups.get(key).push(event);
+        }
+      }
+
+      return [...groups.entries()]
+        .sort(([a], [b]) => (a === null) - (b === null) || String(a).localeCompare(String(b)))
+        .map(([partition, events]) => ({
+          partition,
+          eventCount: events.length,
+          gaps: labelGaps(events, minGapMinutes, { severityBuckets, calendar })
+        }));
+    } catch (error) {
+      throw new Error(`Failed to find partitioned gaps: ${error.message}`);
+    }
+  }
+
   // Calculate event influence spreading
   async calculateEventInfluence(eventId, maxDepth = 3) {
     try {
@@ -357,7 +1434,7 @@ class EventCollection {
             0 as depth,
             ARRAY[event_id] as path
           FROM HistoricalEvents 
-          WHERE event_id = $1
+          WHERE event_id = $1 AND deleted_at IS NULL
           
           UNION ALL
           
@@ -375,6 +1452,7 @@ class EventCollection {
             ) AND eh.depth < $2)
           )
           WHERE NOT (e.event_id = ANY(eh.path)) -- Avoid cycles
+            AND e.deleted_at IS NULL
         )
         SELECT 
           event_id, event_name, description, start_date, end_date,
@@ -413,7 +1491,7 @@ class EventCollection {
     try {
       const selectQuery = `
         SELECT * FROM HistoricalEvents 
-        WHERE (start_date <= $2 AND end_date >= $1)
+        WHERE (start_date <= $2 AND end_date >= $1) AND deleted_at IS NULL
         ORDER BY start_date ASC
       `;
       const result = await query(selectQuery, [startDate, endDate]);
@@ -423,8 +1501,9 @@ class EventCollection {
     }
   }
 
-  // Get statistics about the event collection
-  async getStatistics() {
+  // Get statistics about the event collection. The fixed criticalGaps..lowGaps
+  // counts use the default buckets; gapsBySeverity uses severityBuckets.
+  async getStatistics({ severityBuckets = DEFAULT_SEVERITY_BUCKETS } = {}) {
     try {
       const statsQuery = `
         SELECT 
@@ -434,46 +1513,66 @@ class EventCollection {
           MIN(start_date) as earliest_date,
           MAX(end_date) as latest_date
         FROM HistoricalEvents
+        WHERE deleted_at IS NULL
       `;
       
-      const gapsQuery = `
-        WITH gaps AS (
-          SELECT 
-            EXTRACT(EPOCH FROM (LEAD(start_date) OVER (ORDER BY start_date) - end_date)) / 60 as gap_minutes
-          FROM HistoricalEvents
-          ORDER BY start_date
-        )
+      // Gaps are found by sweeping the event intervals (see findGaps)
+      const intervalsQuery = `
+        SELECT start_date AS "startDate", end_date AS "endDate"
+        FROM HistoricalEvents
+        WHERE deleted_at IS NULL
+      `;
+      
+      const tagsQuery = `
         SELECT 
-          COUNT(*) FILTER (WHERE gap_minutes >= 0) as total_gaps,
-          COUNT(*) FILTER (WHERE gap_minutes >= 480) as critical_gaps,
-          COUNT(*) FILTER (WHERE gap_minutes >= 120 AND gap_minutes < 480) as high_gaps,
-          COUNT(*) FILTER (WHERE gap_minutes >= 30 AND gap_minutes < 120) as medium_gaps,
-          COUNT(*) FILTER (WHERE gap_minutes >= 0 AND gap_minutes < 30) as low_gaps
-        FROM gaps
-        WHERE gap_minutes IS NOT NULL
+          t.tag_id, t.name,
+          COUNT(e.event_id) as event_count,
+          SUM(e.duration_minutes) as total_duration,
+          AVG(e.duration_minutes) as average_duration,
+          MIN(e.start_date) as earliest_date,
+          MAX(e.end_date) as latest_date
+        FROM tags t
+        LEFT JOIN event_tags et ON et.tag_id = t.tag_id
+        LEFT JOIN HistoricalEvents e ON e.event_id = et.event_id AND e.deleted_at IS NULL
+        GROUP BY t.tag_id, t.name
+        ORDER BY event_count DESC, t.name ASC
       `;
       
-      const [statsResult, gapsResult] = await Promise.all([
+      const [statsResult, intervalsResult, tagsResult] = await Promise.all([
         query(statsQuery),
-        query(gapsQuery)
+        query(intervalsQuery),
+        query(tagsQuery)
       ]);
       
       const stats = statsResult.rows[0];
-      const gaps = gapsResult.rows[0];
+      const gaps = findGaps(intervalsResult.rows);
+      const severities = severityBreakdown(gaps.map(gap => gap.minutes));
       
       return {
         totalEvents: parseInt(stats.total_events),
         totalDuration: parseInt(stats.total_duration) || 0,
         averageDuration: parseFloat(stats.average_duration) || 0,
-        totalGaps: parseInt(gaps.total_gaps) || 0,
-        criticalGaps: parseInt(gaps.critical_gaps) || 0,
-        highGaps: parseInt(gaps.high_gaps) || 0,
-        mediumGaps: parseInt(gaps.medium_gaps) || 0,
-        lowGaps: parseInt(gaps.low_gaps) || 0,
+        totalGaps: gaps.length,
+        criticalGaps: severities.critical,
+        highGaps: severities.high,
+        mediumGaps: severities.medium,
+        lowGaps: severities.low,
+        gapsBySeverity: severityBreakdown(gaps.map(gap => gap.minutes), severityBuckets),
         dateRange: {
           earliest: stats.earliest_date,
           latest: stats.latest_date
-        }
+        },
+        tags: tagsResult.rows.map(row => ({
+          tagId: row.tag_id,
+          name: row.name,
+          eventCount: parseInt(row.event_count),
+          totalDuration: parseInt(row.total_duration) || 0,
+          averageDuration: parseFloat(row.average_duration) || 0,
+          dateRange: {
+            earliest: row.earliest_date,
+            latest: row.latest_date
+          }
+        }))
       };
     } catch (error) {
       throw new Error(`Failed to get statistics: ${error.message}`);
@@ -484,5 +1583,12 @@ class EventCollection {
 module.exports = {
   Event,
   EventCollection,
-  eventSchema
+  eventSchema,
+  eventPatchSchema,
+  CONFLICT_POLICIES,
+  SEARCH_SORT_COLUMNS,
+  SUBTREE_DELETE_MODES,
+  CONTAINMENT_POLICIES,
+  DEFAULT_CONTAINMENT_POLICY,
+  DEFAULT_TRASH_RETENTION_DAYS
 };
\ No newline at end of file
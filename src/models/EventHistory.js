@@ -0,0 +1,87 @@
+const { query } = require('../config/database');
+const { Event } = require('./Event');
+
+// Event fields for HistoricalEvents columns, for reporting changed fields
+const COLUMN_FIELDS = {
+  event_id: 'eventId',
+  event_name: 'eventName',
+  description: 'description',
+  start_date: 'startDate',
+  end_date: 'endDate',
+  parent_event_id: 'parentId',
+  metadata: 'metadata',
+  duration_minutes: 'duration',
+  deleted_at: 'deletedAt',
+  detached_parent_id: 'detachedParentId'
+};
+
+// One recorded change to an event, written by the event_history trigger.
+// before/after hold the stored row (snake_case columns) around the change.
+class EventHistory {
+  constructor(data) {
+    this.historyId = data.history_id;
+    this.eventId = data.event_id;
+    this.version = data.version;
+    this.operation = data.operation;
+    this.before = data.before_data || null;
+    this.after = data.after_data || null;
+    this.changedFields = data.changed_fields || [];
+    this.actor = data.actor || null;
+    this.reason = data.reason || null;
+    this.changedAt = data.changed_at;
+  }
+
+  // List the versions of an event, newest first. Returns { entries, total }.
+  static async list(eventId, { limit = 50, offset = 0 } = {}) {
+    try {
+      const [result, countResult] = await Promise.all([
+        query(
+          'SELECT * FROM event_history WHERE event_id = $1 ORDER BY version DESC LIMIT $2 OFFSET $3',
+          [eventId, limit, offset]
+        ),
+        query('SELECT COUNT(*) AS total FROM event_history WHERE event_id = $1', [eventId])
+      ]);
+
+      return {
+        entries: result.rows.map(row => new EventHistory(row)),
+        total: parseInt(countResult.rows[0].total)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get event history: ${error.message}`);
+    }
+  }
+
+  // Find one version of an event
+  static async find(eventId, version) {
+    try {
+      const result = await query(
+        'SELECT * FROM event_history WHERE event_id = $1 AND version = $2',
+        [eventId, version]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new EventHistory(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find event version: ${error.message}`);
+    }
+  }
+
+  // Get history entry as plain object, with snapshots in event form
+  toObject() {
+    return {
+      version: this.version,
+      operation: this.operation,
+      changedAt: this.changedAt,
+      actor: this.actor,
+      reason: this.reason,
+      changedFields: this.changedFields.map(column => COLUMN_FIELDS[column] || column),
+      before: this.before ? new Event(this.before).toObject() : null,
+      after: this.after ? new Event(this.after).toObject() : null
+    };
+  }
+}
+
+module.exports = {
+  EventHistory
+};
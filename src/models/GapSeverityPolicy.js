@@ -0,0 +1,186 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const { fromDatabaseError } = require('../utils/errors');
+const { DEFAULT_SEVERITY_BUCKETS } = require('../utils/gapDetection');
+
+// Name of the built-in policy holding the default buckets; it is not stored
+const DEFAULT_POLICY_NAME = 'default';
+
+// Buckets must rise strictly, with only the last one open ended
+const checkBucketOrder = (buckets, helpers) => {
+  for (let i = 0; i < buckets.length; i++) {
+    const { maxMinutes } = buckets[i];
+    const isLast = i === buckets.length - 1;
+    if (isLast && maxMinutes !== null) {
+      return helpers.message('{{#label}} must end with an open ended bucket (maxMinutes null)');
+    }
+    if (!isLast && maxMinutes === null) {
+      return helpers.message('{{#label}} may only leave the last bucket open ended');
+    }
+    if (i > 0 && !isLast && maxMinutes <= buckets[i - 1].maxMinutes) {
+      return helpers.message('{{#label}} must have increasing maxMinutes');
+    }
+  }
+  return buckets;
+};
+
+// A bucket covers gaps shorter than maxMinutes not taken by an earlier bucket
+const bucketSchema = Joi.object({
+  label: Joi.string().trim().max(50).required(),
+  maxMinutes: Joi.number().integer().positive().allow(null).required()
+});
+
+// Severity policy validation schema. Names are unique regardless of case.
+const policySchema = Joi.object({
+  name: Joi.string().trim().pattern(/^[A-Za-z0-9 _.-]+$/).max(100)
+    .insensitive().invalid(DEFAULT_POLICY_NAME).required(),
+  description: Joi.string().allow('').optional(),
+  buckets: Joi.array().items(bucketSchema).min(1)
+    .unique((a, b) => a.label.toLowerCase() === b.label.toLowerCase())
+    .custom(checkBucketOrder)
+    .required()
+});
+
+// Named gap severity buckets stored in the gap_severity_policies table
+class GapSeverityPolicy {
+  constructor(data) {
+    this.policyId = data.policy_id || data.policyId || null;
+    this.name = data.name;
+    this.description = data.description || '';
+    this.buckets = data.buckets;
+    this.builtIn = data.builtIn || false;
+    this.createdAt = data.created_at || data.createdAt || null;
+    this.updatedAt = data.updated_at || data.updatedAt || null;
+  }
+
+  // The built-in policy with the default buckets
+  static get DEFAULT() {
+    return new GapSeverityPolicy({
+      name: DEFAULT_POLICY_NAME,
+      description: 'Under 30 minutes low, under 2 hours medium, under 8 hours high, otherwise critical',
+      buckets: DEFAULT_SEVERITY_BUCKETS,
+      builtIn: true
+    });
+  }
+
+  // Validate policy data
+  static validate(data) {
+    const { error, value } = policySchema.validate(data);
+    if (error) {
+      return { isValid: false, error: error.details[0].message, value: null };
+    }
+    return { isValid: true, error: null, value };
+  }
+
+  // Create a new policy
+  static async create(policyData) {
+    try {
+      const insertQuery = `
+        INSERT INTO gap_severity_policies (policy_id, name, description, buckets)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `;
+      const result = await query(insertQuery, [
+        uuidv4(),
+        policyData.name,
+        policyData.description || '',
+        JSON.stringify(policyData.buckets)
+      ]);
+      return new GapSeverityPolicy(result.rows[0]);
+    } catch (error) {
+      throw fromDatabaseError(error, `Severity policy ${policyData.name} already exists`)
+        || new Error(`Failed to create severity policy: ${error.message}`);
+    }
+  }
+
+  // Find policy by ID or (case-insensitive) name, including the built-in default
+  static async find(idOrName) {
+    if (idOrName.toLowerCase() === DEFAULT_POLICY_NAME) {
+      return GapSeverityPolicy.DEFAULT;
+    }
+
+    try {
+      const selectQuery = `
+        SELECT * FROM gap_severity_policies
+        WHERE policy_id::text = $1 OR LOWER(name) = LOWER($1)
+        ORDER BY (policy_id::text = $1) DESC
+        LIMIT 1
+      `;
+      const result = await query(selectQuery, [idOrName]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new GapSeverityPolicy(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find severity policy: ${error.message}`);
+    }
+  }
+
+  // List the built-in default followed by the stored policies by name
+  static async list() {
+    try {
+      const result = await query('SELECT * FROM gap_severity_policies ORDER BY name ASC');
+      return [GapSeverityPolicy.DEFAULT, ...result.rows.map(row => new GapSeverityPolicy(row))];
+    } catch (error) {
+      throw new Error(`Failed to list severity policies: ${error.message}`);
+    }
+  }
+
+  // Replace the stored policy with new (validated) data
+  async update(policyData) {
+    try {
+      const updateQuery = `
+        UPDATE gap_severity_policies
+        SET name = $2, description = $3, buckets = $4, updated_at = NOW()
+        WHERE policy_id = $1
+        RETURNING *
+      `;
+      const result = await query(updateQuery, [
+        this.policyId,
+        policyData.name,
+        policyData.description || '',
+        JSON.stringify(policyData.buckets)
+      ]);
+      Object.assign(this, new GapSeverityPolicy(result.rows[0]));
+      return this;
+    } catch (error) {
+      throw fromDatabaseError(error, `Severity policy ${policyData.name} already exists`)
+        || new Error(`Failed to update severity policy: ${error.message}`);
+    }
+  }
+
+  // Delete policy
+  async delete() {
+    try {
+      await query('DELETE FROM gap_severity_policies WHERE policy_id = $1', [this.policyId]);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete severity policy: ${error.message}`);
+    }
+  }
+
+  // Severity labels from least to most severe
+  get labels() {
+    return this.buckets.map(bucket => bucket.label);
+  }
+
+  // Get policy as plain object
+  toObject() {
+    return {
+      policyId: this.policyId,
+      name: this.name,
+      description: this.description,
+      buckets: this.buckets,
+      builtIn: this.builtIn,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = {
+  GapSeverityPolicy,
+  policySchema,
+  DEFAULT_POLICY_NAME
+};
@@ -0,0 +1,281 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+
+const JOB_STATUSES = ['PROCESSING', 'COMPLETED', 'FAILED'];
+
+// How long finished jobs (and their errors) are kept before being purged
+const DEFAULT_RETENTION_DAYS = parseInt(process.env.INGESTION_JOB_RETENTION_DAYS) || 30;
+
+// A running job touches heartbeat_at this often; one silent for STALE_MINUTES
+// belongs to a server that is gone
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_STALE_MINUTES = parseInt(process.env.INGESTION_JOB_STALE_MINUTES) || 10;
+
+// Ingestion job model persisted in the ingestion_jobs / ingestion_errors tables
+class IngestionJob {
+  constructor(data) {
+    this.jobId = data.job_id || data.jobId;
+    this.status = data.status || 'PROCESSING';
+    this.filePath = data.file_path || data.filePath || null;
+    this.totalLines = data.total_lines ?? data.totalLines ?? 0;
+    this.processedLines = data.processed_lines ?? data.processedLines ?? 0;
+    this.insertedLines = data.inserted_lines ?? data.insertedLines ?? 0;
+    this.updatedLines = data.updated_lines ?? data.updatedLines ?? 0;
+    this.skippedLines = data.skipped_lines ?? data.skippedLines ?? 0;
+    this.errorLines = data.error_lines ?? data.errorLines ?? 0;
+    this.warningLines = data.warning_lines ?? data.warningLines ?? 0;
+    this.bytesTotal = parseInt(data.bytes_total ?? data.bytesTotal ?? 0);
+    this.bytesProcessed = parseInt(data.bytes_processed ?? data.bytesProcessed ?? 0);
+    this.options = data.options || {};
+    this.startTime = data.start_time || data.startTime || null;
+    this.endTime = data.end_time || data.endTime || null;
+    this.heartbeatAt = data.heartbeat_at || data.heartbeatAt || null;
+  }
+
+  // Create a new job in PROCESSING state
+  static async create({ filePath = null, options = {} } = {}) {
+    try {
+      const insertQuery = `
+        INSERT INTO ingestion_jobs (job_id, status, file_path, options)
+        VALUES ($1, 'PROCESSING', $2, $3)
+        RETURNING *
+      `;
+      const result = await query(insertQuery, [`ingest-job-${uuidv4()}`, filePath, JSON.stringify(options)]);
+      return new IngestionJob(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create ingestion job: ${error.message}`);
+    }
+  }
+
+  // Find job by ID
+  static async findById(jobId) {
+    try {
+      const result = await query('SELECT * FROM ingestion_jobs WHERE job_id = $1', [jobId]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new IngestionJob(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find ingestion job: ${error.message}`);
+    }
+  }
+
+  // List jobs, newest first
+  static async list({ status, limit = 20, offset = 0 } = {}) {
+    try {
+      const where = status ? 'WHERE status = $1' : '';
+      const params = status ? [status] : [];
+
+      const listQuery = `
+        SELECT * FROM ingestion_jobs ${where}
+        ORDER BY start_time DESC, job_id
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+      const countQuery = `SELECT COUNT(*) AS total FROM ingestion_jobs ${where}`;
+
+      const [listResult, countResult] = await Promise.all([
+        query(listQuery, [...params, limit, offset]),
+        query(countQuery, params)
+      ]);
+
+      return {
+        jobs: listResult.rows.map(row => new IngestionJob(row)),
+        total: parseInt(countResult.rows[0].total)
+      };
+    } catch (error) {
+      throw new Error(`Failed to list ingestion jobs: ${error.message}`);
+    }
+  }
+
+  // Delete finished jobs older than the retention period (errors cascade)
+  static async purgeExpired(retentionDays = DEFAULT_RETENTION_DAYS) {
+    try {
+      const deleteQuery = `
+        DELETE FROM ingestion_jobs
+        WHERE status <> 'PROCESSING'
+          AND COALESCE(end_time, start_time) < NOW() - ($1 || ' days')::interval
+      `;
+      const result = await query(deleteQuery, [String(retentionDays)]);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Failed to purge ingestion jobs: ${error.message}`);
+    }
+  }
+
+  // PROCESSING jobs whose heartbeat went stale were cut off by a crash or restart.
+  // Jobs of other running servers keep their heartbeat fresh and are left alone.
+  static async failInterrupted(staleMinutes = DEFAULT_STALE_MINUTES) {
+    try {
+      const updateQuery = `
+        UPDATE ingestion_jobs
+        SET status = 'FAILED', end_time = NOW()
+        WHERE status = 'PROCESSING'
+          AND heartbeat_at < NOW() - ($1 || ' minutes')::interval
+        RETURNING job_id
+      `;
+      const result = await query(updateQuery, [String(staleMinutes)]);
+      for (const row of result.rows) {
+        await new IngestionJob(row).recordError(null, 'Job interrupted by server restart');
+      }
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Failed to mark interrupted ingestion jobs: ${error.message}`);
+    }
+  }
+
+  // Record a per-line (or file-level, when lineNumber is null) error.
+  // details: { code, column, value, record, severity } where record is the parsed
+  // source row and severity is 'error' (row rejected) or 'warning' (row kept).
+  async recordError(lineNumber, message, details = {}) {
+    try {
+      const insertQuery = `
+        INSERT INTO ingestion_errors (
+          job_id, line_number, code, severity, column_name, message, raw_value, raw_record
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `;
+      const { code = null, column = null, value = null, record = null, severity = 'error' } = details;
+      await query(insertQuery, [
+        this.jobId,
+        lineNumber,
+        code,
+        severity,
+        column,
+        message,
+        value === null || value === undefined ? null : String(value),
+        record ? JSON.stringify(record) : null
+      ]);
+    } catch (error) {
+      throw new Error(`Failed to record ingestion error: ${error.message}`);
+    }
+  }
+
+  // Get recorded errors in line order
+  async getErrors({ limit = 100, offset = 0 } = {}) {
+    try {
+      const selectQuery = `
+        SELECT * FROM ingestion_errors
+        WHERE job_id = $1
+        ORDER BY line_number NULLS LAST, error_id
+        LIMIT $2 OFFSET $3
+      `;
+      const result = await query(selectQuery, [this.jobId, limit, offset]);
+      return result.rows.map(row => ({
+        line: row.line_number,
+        column: row.column_name,
+        code: row.code,
+        severity: row.severity,
+        message: row.message,
+        value: row.raw_value,
+        record: row.raw_record
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get ingestion errors: ${error.message}`);
+    }
+  }
+
+  // Source column names seen across the job's rejected rows
+  async getRejectedColumns() {
+    try {
+      const selectQuery = `
+        SELECT DISTINCT jsonb_object_keys(raw_record) AS column_name
+        FROM ingestion_errors
+        WHERE job_id = $1 AND severity = 'error' AND jsonb_typeof(raw_record) = 'object'
+      `;
+      const result = await query(selectQuery, [this.jobId]);
+      return result.rows.map(row => row.column_name).sort();
+    } catch (error) {
+      throw new Error(`Failed to get rejected columns: ${error.message}`);
+    }
+  }
+
+  // Persist the current counters and status
+  async save() {
+    try {
+      const updateQuery = `
+        UPDATE ingestion_jobs
+        SET status = $2, total_lines = $3, processed_lines = $4,
+            inserted_lines = $5, updated_lines = $6, skipped_lines = $7,
+            error_lines = $8, warning_lines = $9, bytes_total = $10, bytes_processed = $11, end_time = $12,
+            heartbeat_at = NOW()
+        WHERE job_id = $1
+      `;
+      await query(updateQuery, [
+        this.jobId,
+        this.status,
+        this.totalLines,
+        this.processedLines,
+        this.insertedLines,
+        this.updatedLines,
+        this.skippedLines,
+        this.errorLines,
+        this.warningLines,
+        this.bytesTotal,
+        this.bytesProcessed,
+        this.endTime
+      ]);
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to save ingestion job: ${error.message}`);
+    }
+  }
+
+  // Show the job is still being worked on, for failInterrupted
+  async heartbeat() {
+    try {
+      await query('UPDATE ingestion_jobs SET heartbeat_at = NOW() WHERE job_id = $1', [this.jobId]);
+    } catch (error) {
+      throw new Error(`Failed to update ingestion job heartbeat: ${error.message}`);
+    }
+  }
+
+  // Keep the heartbeat fresh until the returned function is called
+  startHeartbeat() {
+    const timer = setInterval(() => {
+      this.heartbeat().catch(error => console.error(`Ingestion job ${this.jobId}:`, error.message));
+    }, HEARTBEAT_INTERVAL_MS);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  // Mark job as completed
+  async complete() {
+    this.status = 'COMPLETED';
+    this.bytesProcessed = this.bytesTotal;
+    this.endTime = new Date().toISOString();
+    return await this.save();
+  }
+
+  // Mark job as failed with a file-level error
+  async fail(message) {
+    this.status = 'FAILED';
+    this.endTime = new Date().toISOString();
+    await this.recordError(null, message);
+    return await this.save();
+  }
+
+  // Get job as plain object (errors are loaded separately)
+  toObject() {
+    return {
+      jobId: this.jobId,
+      status: this.status,
+      processedLines: this.processedLines,
+      insertedLines: this.insertedLines,
+      updatedLines: this.updatedLines,
+      skippedLines: this.skippedLines,
+      errorLines: this.errorLines,
+      warningLines: this.warningLines,
+      totalLines: this.totalLines,
+      percentComplete: this.bytesTotal > 0
+        ? Math.min(100, Math.round((this.bytesProcessed / this.bytesTotal) * 100))
+        : (this.status === 'PROCESSING' ? 0 : 100),
+      options: this.options,
+      startTime: this.startTime,
+      endTime: this.endTime
+    };
+  }
+}
+
+module.exports = {
+  IngestionJob,
+  JOB_STATUSES
+};
@@ -0,0 +1,179 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const { fromDatabaseError } = require('../utils/errors');
+const { getFormatNames } = require('../utils/ingestionFormats');
+const { TARGET_PATTERN, TRANSFORMS } = require('../utils/columnMapping');
+
+// A column maps to an Event field or metadata path, either as a plain string
+// ("title": "eventName") or with transforms and an optional strict date format
+const columnMappingSchema = Joi.alternatives().try(
+  Joi.string().pattern(TARGET_PATTERN),
+  Joi.object({
+    field: Joi.string().pattern(TARGET_PATTERN).required(),
+    transforms: Joi.array().items(Joi.string().valid(...Object.keys(TRANSFORMS))).default([]),
+    dateFormat: Joi.string().optional(),
+    default: Joi.any().optional()
+  })
+);
+
+// Mapping profile validation schema
+const profileSchema = Joi.object({
+  name: Joi.string().pattern(/^[A-Za-z0-9_.-]+$/).max(100).required(),
+  description: Joi.string().allow('').optional(),
+  format: Joi.string().valid(...getFormatNames()).allow(null).optional(),
+  hasHeader: Joi.boolean().allow(null).optional(),
+  columnOrder: Joi.array().items(Joi.string()).min(1).allow(null).optional(),
+  columns: Joi.object().pattern(Joi.string(), columnMappingSchema).default({}),
+  unmappedColumns: Joi.string().valid('metadata', 'ignore').default('metadata')
+});
+
+// Named column mapping profile stored in the ingestion_profiles table
+class IngestionProfile {
+  constructor(data) {
+    this.profileId = data.profile_id || data.profileId;
+    this.name = data.name;
+    this.description = data.description || '';
+    this.format = data.format || null;
+    this.hasHeader = data.has_header ?? data.hasHeader ?? null;
+    this.columnOrder = data.column_order || data.columnOrder || null;
+    this.columns = data.columns || {};
+    this.unmappedColumns = data.unmapped_columns || data.unmappedColumns || 'metadata';
+    this.createdAt = data.created_at || data.createdAt || null;
+    this.updatedAt = data.updated_at || data.updatedAt || null;
+  }
+
+  // Validate profile data
+  static validate(data) {
+    const { error, value } = profileSchema.validate(data);
+    if (error) {
+      return { isValid: false, error: error.details[0].message, value: null };
+    }
+    return { isValid: true, error: null, value };
+  }
+
+  // Create a new profile
+  static async create(profileData) {
+    try {
+      const insertQuery = `
+        INSERT INTO ingestion_profiles (
+          profile_id, name, description, format, has_header,
+          column_order, columns, unmapped_columns
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `;
+      const result = await query(insertQuery, [
+        uuidv4(),
+        ...IngestionProfile.toRowValues(profileData)
+      ]);
+      return new IngestionProfile(result.rows[0]);
+    } catch (error) {
+      throw fromDatabaseError(error, `Profile ${profileData.name} already exists`)
+        || new Error(`Failed to create ingestion profile: ${error.message}`);
+    }
+  }
+
+  // Find profile by ID or by name
+  static async find(idOrName) {
+    try {
+      const selectQuery = `
+        SELECT * FROM ingestion_profiles
+        WHERE profile_id::text = $1 OR name = $1
+        ORDER BY (profile_id::text = $1) DESC
+        LIMIT 1
+      `;
+      const result = await query(selectQuery, [idOrName]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new IngestionProfile(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find ingestion profile: ${error.message}`);
+    }
+  }
+
+  // List all profiles by name
+  static async list() {
+    try {
+      const result = await query('SELECT * FROM ingestion_profiles ORDER BY name ASC');
+      return result.rows.map(row => new IngestionProfile(row));
+    } catch (error) {
+      throw new Error(`Failed to list ingestion profiles: ${error.message}`);
+    }
+  }
+
+  // Column values in INSERT/UPDATE order (after profile_id)
+  static toRowValues(profileData) {
+    return [
+      profileData.name,
+      profileData.description || '',
+      profileData.format || null,
+      profileData.hasHeader ?? null,
+      profileData.columnOrder ? JSON.stringify(profileData.columnOrder) : null,
+      JSON.stringify(profileData.columns || {}),
+      profileData.unmappedColumns || 'metadata'
+    ];
+  }
+
+  // Replace the stored profile with new (validated) data
+  async update(profileData) {
+    try {
+      const updateQuery = `
+        UPDATE ingestion_profiles
+        SET name = $2, description = $3, format = $4, has_header = $5,
+            column_order = $6, columns = $7, unmapped_columns = $8, updated_at = NOW()
+        WHERE profile_id = $1
+        RETURNING *
+      `;
+      const result = await query(updateQuery, [
+        this.profileId,
+        ...IngestionProfile.toRowValues(profileData)
+      ]);
+      Object.assign(this, new IngestionProfile(result.rows[0]));
+      return this;
+    } catch (error) {
+      throw fromDatabaseError(error, `Profile ${profileData.name} already exists`)
+        || new Error(`Failed to update ingestion profile: ${error.message}`);
+    }
+  }
+
+  // Delete profile
+  async delete() {
+    try {
+      await query('DELETE FROM ingestion_profiles WHERE profile_id = $1', [this.profileId]);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete ingestion profile: ${error.message}`);
+    }
+  }
+
+  // Options for the format parser (header detection and column order)
+  toParseOptions() {
+    return {
+      hasHeader: this.hasHeader === null ? undefined : this.hasHeader,
+      knownColumns: new Set(Object.keys(this.columns)),
+      ...(this.columnOrder && { columnOrder: this.columnOrder })
+    };
+  }
+
+  // Get profile as plain object
+  toObject() {
+    return {
+      profileId: this.profileId,
+      name: this.name,
+      description: this.description,
+      format: this.format,
+      hasHeader: this.hasHeader,
+      columnOrder: this.columnOrder,
+      columns: this.columns,
+      unmappedColumns: this.unmappedColumns,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = {
+  IngestionProfile,
+  profileSchema
+};
@@ -0,0 +1,226 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { query, getClient } = require('../config/database');
+const { fromDatabaseError } = require('../utils/errors');
+
+// Tag validation schema. Names are unique regardless of case.
+const tagSchema = Joi.object({
+  name: Joi.string().trim().pattern(/^[\p{L}\p{N} _.-]+$/u).max(100).required(),
+  description: Joi.string().allow('').optional(),
+  color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).allow(null).optional()
+});
+
+// Category label stored in the tags table and linked to events through event_tags
+class Tag {
+  constructor(data) {
+    this.tagId = data.tag_id || data.tagId;
+    this.name = data.name;
+    this.description = data.description || '';
+    this.color = data.color || null;
+    this.eventCount = data.event_count !== undefined ? parseInt(data.event_count) : undefined;
+    this.createdAt = data.created_at || data.createdAt || null;
+    this.updatedAt = data.updated_at || data.updatedAt || null;
+  }
+
+  // Validate tag data
+  static validate(data) {
+    const { error, value } = tagSchema.validate(data);
+    if (error) {
+      return { isValid: false, error: error.details[0].message, value: null };
+    }
+    return { isValid: true, error: null, value };
+  }
+
+  // Create a new tag
+  static async create(tagData) {
+    try {
+      const insertQuery = `
+        INSERT INTO tags (tag_id, name, description, color)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `;
+      const result = await query(insertQuery, [
+        uuidv4(),
+        tagData.name,
+        tagData.description || '',
+        tagData.color || null
+      ]);
+      return new Tag(result.rows[0]);
+    } catch (error) {
+      throw fromDatabaseError(error, `Tag ${tagData.name} already exists`)
+        || new Error(`Failed to create tag: ${error.message}`);
+    }
+  }
+
+  // Find tag by ID or (case-insensitive) name
+  static async find(idOrName) {
+    try {
+      const selectQuery = `
+        SELECT * FROM tags
+        WHERE tag_id::text = $1 OR LOWER(name) = LOWER($1)
+        ORDER BY (tag_id::text = $1) DESC
+        LIMIT 1
+      `;
+      const result = await query(selectQuery, [idOrName]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new Tag(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find tag: ${error.message}`);
+    }
+  }
+
+  // Find several tags by ID or name; returns those that exist
+  static async findMany(idsOrNames) {
+    if (idsOrNames.length === 0) {
+      return [];
+    }
+
+    try {
+      const selectQuery = `
+        SELECT * FROM tags
+        WHERE tag_id::text = ANY($1) OR LOWER(name) = ANY($1)
+        ORDER BY name ASC
+      `;
+      const result = await query(selectQuery, [idsOrNames.map(value => value.toLowerCase())]);
+      return result.rows.map(row => new Tag(row));
+    } catch (error) {
+      throw new Error(`Failed to find tags: ${error.message}`);
+    }
+  }
+
+  // List all tags by name with the number of (non-deleted) events carrying each
+  static async list() {
+    try {
+      const selectQuery = `
+        SELECT t.*, COUNT(e.event_id) AS event_count
+        FROM tags t
+        LEFT JOIN event_tags et ON et.tag_id = t.tag_id
+        LEFT JOIN HistoricalEvents e ON e.event_id = et.event_id AND e.deleted_at IS NULL
+        GROUP BY t.tag_id
+        ORDER BY t.name ASC
+      `;
+      const result = await query(selectQuery);
+      return result.rows.map(row => new Tag(row));
+    } catch (error) {
+      throw new Error(`Failed to list tags: ${error.message}`);
+    }
+  }
+
+  // Tags attached to an event
+  static async findForEvent(eventId) {
+    try {
+      const selectQuery = `
+        SELECT t.* FROM tags t
+        JOIN event_tags et ON et.tag_id = t.tag_id
+        WHERE et.event_id = $1
+        ORDER BY t.name ASC
+      `;
+      const result = await query(selectQuery, [eventId]);
+      return result.rows.map(row => new Tag(row));
+    } catch (error) {
+      throw new Error(`Failed to get event tags: ${error.message}`);
+    }
+  }
+
+  // Attach tags to an event (already attached tags are left alone)
+  static async addToEvent(eventId, tagIds) {
+    if (tagIds.length === 0) {
+      return;
+    }
+
+    try {
+      const insertQuery = `
+        INSERT INTO event_tags (event_id, tag_id)
+        SELECT $1, UNNEST($2::uuid[])
+        ON CONFLICT DO NOTHING
+      `;
+      await query(insertQuery, [eventId, tagIds]);
+    } catch (error) {
+      throw fromDatabaseError(error) || new Error(`Failed to tag event: ${error.message}`);
+    }
+  }
+
+  // Replace the full set of tags on an event
+  static async setForEvent(eventId, tagIds) {
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM event_tags WHERE event_id = $1', [eventId]);
+      if (tagIds.length > 0) {
+        await client.query(
+          'INSERT INTO event_tags (event_id, tag_id) SELECT $1, UNNEST($2::uuid[]) ON CONFLICT DO NOTHING',
+          [eventId, tagIds]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw fromDatabaseError(error) || new Error(`Failed to set event tags: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Detach a tag from an event; returns false when it was not attached
+  static async removeFromEvent(eventId, tagId) {
+    try {
+      const result = await query('DELETE FROM event_tags WHERE event_id = $1 AND tag_id = $2', [eventId, tagId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      throw new Error(`Failed to untag event: ${error.message}`);
+    }
+  }
+
+  // Replace the stored tag with new (validated) data
+  async update(tagData) {
+    try {
+      const updateQuery = `
+        UPDATE tags
+        SET name = $2, description = $3, color = $4, updated_at = NOW()
+        WHERE tag_id = $1
+        RETURNING *
+      `;
+      const result = await query(updateQuery, [
+        this.tagId,
+        tagData.name,
+        tagData.description || '',
+        tagData.color || null
+      ]);
+      Object.assign(this, new Tag(result.rows[0]));
+      return this;
+    } catch (error) {
+      throw fromDatabaseError(error, `Tag ${tagData.name} already exists`)
+        || new Error(`Failed to update tag: ${error.message}`);
+    }
+  }
+
+  // Delete tag (its event links are removed by the foreign key cascade)
+  async delete() {
+    try {
+      await query('DELETE FROM tags WHERE tag_id = $1', [this.tagId]);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete tag: ${error.message}`);
+    }
+  }
+
+  // Get tag as plain object
+  toObject() {
+    return {
+      tagId: this.tagId,
+      name: this.name,
+      description: this.description,
+      color: this.color,
+      ...(this.eventCount !== undefined && { eventCount: this.eventCount }),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = {
+  Tag,
+  tagSchema
+};
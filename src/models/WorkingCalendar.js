@@ -0,0 +1,184 @@
+const Joi = require('joi');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const { fromDatabaseError } = require('../utils/errors');
+const { WEEKDAYS, isValidTimeZone, workingMinutesBetween } = require('../utils/workingTime');
+
+// Local time of day, HH:mm (24:00 ends a period at midnight)
+const timeOfDaySchema = Joi.string().pattern(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/);
+
+const periodSchema = Joi.object({
+  start: timeOfDaySchema.required(),
+  end: timeOfDaySchema.required()
+}).custom((period, helpers) => (
+  period.end > period.start ? period : helpers.message('{{#label}} must end after it starts')
+));
+
+// A weekday's working periods; they may touch but not overlap, as overlapping
+// periods would count the shared time twice
+const daySchema = Joi.array().items(periodSchema).custom((periods, helpers) => {
+  const sorted = [...periods].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  const overlap = sorted.findIndex((period, index) => index > 0 && period.start < sorted[index - 1].end);
+  return overlap === -1
+    ? periods
+    : helpers.message(`{{#label}} has overlapping periods ${sorted[overlap - 1].start}-${sorted[overlap - 1].end} and ${sorted[overlap].start}-${sorted[overlap].end}`);
+});
+
+// Working calendar validation schema. Weekdays left out of workingHours (or with
+// no periods) are non-working; names are unique regardless of case.
+const calendarSchema = Joi.object({
+  name: Joi.string().trim().pattern(/^[A-Za-z0-9 _.-]+$/).max(100).required(),
+  description: Joi.string().allow('').optional(),
+  timeZone: Joi.string()
+    .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.message('{{#label}} must be an IANA time zone')))
+    .default('UTC'),
+  workingHours: Joi.object(Object.fromEntries(WEEKDAYS.map(day => [day, daySchema])))
+    .default({
+      monday: [{ start: '09:00', end: '17:00' }],
+      tuesday: [{ start: '09:00', end: '17:00' }],
+      wednesday: [{ start: '09:00', end: '17:00' }],
+      thursday: [{ start: '09:00', end: '17:00' }],
+      friday: [{ start: '09:00', end: '17:00' }]
+    }),
+  holidays: Joi.array()
+    .items(Joi.string().custom((value, helpers) => (
+      moment(value, 'YYYY-MM-DD', true).isValid() ? value : helpers.message('{{#label}} must be a YYYY-MM-DD date')
+    )))
+    .unique()
+    .default([])
+});
+
+// Working hours, weekends and holidays in a time zone, stored in the
+// working_calendars table and used to measure gaps in working time only
+class WorkingCalendar {
+  constructor(data) {
+    this.calendarId = data.calendar_id || data.calendarId;
+    this.name = data.name;
+    this.description = data.description || '';
+    this.timeZone = data.time_zone || data.timeZone || 'UTC';
+    this.workingHours = data.working_hours || data.workingHours || {};
+    this.holidays = data.holidays || [];
+    this.createdAt = data.created_at || data.createdAt || null;
+    this.updatedAt = data.updated_at || data.updatedAt || null;
+  }
+
+  // Validate calendar data
+  static validate(data) {
+    const { error, value } = calendarSchema.validate(data);
+    if (error) {
+      return { isValid: false, error: error.details[0].message, value: null };
+    }
+    return { isValid: true, error: null, value };
+  }
+
+  // Create a new calendar
+  static async create(calendarData) {
+    try {
+      const insertQuery = `
+        INSERT INTO working_calendars (
+          calendar_id, name, description, time_zone, working_hours, holidays
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `;
+      const result = await query(insertQuery, [uuidv4(), ...WorkingCalendar.toRowValues(calendarData)]);
+      return new WorkingCalendar(result.rows[0]);
+    } catch (error) {
+      throw fromDatabaseError(error, `Calendar ${calendarData.name} already exists`)
+        || new Error(`Failed to create calendar: ${error.message}`);
+    }
+  }
+
+  // Find calendar by ID or (case-insensitive) name
+  static async find(idOrName) {
+    try {
+      const selectQuery = `
+        SELECT * FROM working_calendars
+        WHERE calendar_id::text = $1 OR LOWER(name) = LOWER($1)
+        ORDER BY (calendar_id::text = $1) DESC
+        LIMIT 1
+      `;
+      const result = await query(selectQuery, [idOrName]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new WorkingCalendar(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to find calendar: ${error.message}`);
+    }
+  }
+
+  // List all calendars by name
+  static async list() {
+    try {
+      const result = await query('SELECT * FROM working_calendars ORDER BY name ASC');
+      return result.rows.map(row => new WorkingCalendar(row));
+    } catch (error) {
+      throw new Error(`Failed to list calendars: ${error.message}`);
+    }
+  }
+
+  // Column values in INSERT/UPDATE order (after calendar_id)
+  static toRowValues(calendarData) {
+    return [
+      calendarData.name,
+      calendarData.description || '',
+      calendarData.timeZone,
+      JSON.stringify(calendarData.workingHours),
+      JSON.stringify(calendarData.holidays)
+    ];
+  }
+
+  // Replace the stored calendar with new (validated) data
+  async update(calendarData) {
+    try {
+      const updateQuery = `
+        UPDATE working_calendars
+        SET name = $2, description = $3, time_zone = $4, working_hours = $5,
+            holidays = $6, updated_at = NOW()
+        WHERE calendar_id = $1
+        RETURNING *
+      `;
+      const result = await query(updateQuery, [this.calendarId, ...WorkingCalendar.toRowValues(calendarData)]);
+      Object.assign(this, new WorkingCalendar(result.rows[0]));
+      return this;
+    } catch (error) {
+      throw fromDatabaseError(error, `Calendar ${calendarData.name} already exists`)
+        || new Error(`Failed to update calendar: ${error.message}`);
+    }
+  }
+
+  // Delete calendar
+  async delete() {
+    try {
+      await query('DELETE FROM working_calendars WHERE calendar_id = $1', [this.calendarId]);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete calendar: ${error.message}`);
+    }
+  }
+
+  // Working minutes between two instants
+  workingMinutes(start, end) {
+    return workingMinutesBetween(this, start, end);
+  }
+
+  // Get calendar as plain object
+  toObject() {
+    return {
+      calendarId: this.calendarId,
+      name: this.name,
+      description: this.description,
+      timeZone: this.timeZone,
+      workingHours: this.workingHours,
+      holidays: this.holidays,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = {
+  WorkingCalendar,
+  calendarSchema
+};
@@ -0,0 +1,47 @@
+const express = require('express');
+const Joi = require('joi');
+const calendarsController = require('../controllers/calendars');
+const { calendarSchema } = require('../models/WorkingCalendar');
+const { asyncHandler, validateRequest } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+const workingTimeQuerySchema = Joi.object({
+  start: Joi.date().iso().required(),
+  end: Joi.date().iso().greater(Joi.ref('start')).required()
+});
+
+// GET /api/calendars - List working calendars
+router.get('/', asyncHandler(async (req, res) => {
+  const calendars = await calendarsController.getAllCalendars();
+  res.json({ calendars, total: calendars.length });
+}));
+
+// POST /api/calendars - Create a working calendar
+router.post('/', validateRequest(calendarSchema), asyncHandler(async (req, res) => {
+  const calendar = await calendarsController.createCalendar(req.body);
+  res.status(201).location(`${req.baseUrl}/${calendar.calendarId}`).json(calendar);
+}));
+
+// GET /api/calendars/:calendar - Get a calendar by ID or name
+router.get('/:calendar', asyncHandler(async (req, res) => {
+  res.json(await calendarsController.getCalendar(req.params.calendar));
+}));
+
+// PUT /api/calendars/:calendar - Replace a calendar
+router.put('/:calendar', validateRequest(calendarSchema), asyncHandler(async (req, res) => {
+  res.json(await calendarsController.updateCalendar(req.params.calendar, req.body));
+}));
+
+// DELETE /api/calendars/:calendar - Remove a calendar
+router.delete('/:calendar', asyncHandler(async (req, res) => {
+  await calendarsController.deleteCalendar(req.params.calendar);
+  res.status(204).end();
+}));
+
+// GET /api/calendars/:calendar/working-time - Working minutes between start and end
+router.get('/:calendar/working-time', validateRequest(workingTimeQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  res.json(await calendarsController.getWorkingTime(req.params.calendar, req.query));
+}));
+
+module.exports = router;
@@ -2,235 +2,395 @@ const express = require('express');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-const { EventCollection, Event } = require('../models/Event');
+const Joi = require('joi');
+const {
+  eventSchema,
+  eventPatchSchema,
+  CONFLICT_POLICIES,
+  SEARCH_SORT_COLUMNS,
+  SUBTREE_DELETE_MODES,
+  CONTAINMENT_POLICIES,
+  DEFAULT_CONTAINMENT_POLICY
+} = require('../models/Event');
+const { IngestionJob, JOB_STATUSES } = require('../models/IngestionJob');
+const eventsController = require('../controllers/events');
+const ingestionController = require('../controllers/ingestion');
+const profilesController = require('../controllers/ingestionProfiles');
+const tagsController = require('../controllers/tags');
+const { getFormatNames } = require('../utils/ingestionFormats');
+const { metadataFilterSchema } = require('../utils/metadataFilter');
+const { tagListSchema, tagMatchSchema } = require('../utils/tagFilter');
+const { asyncHandler, validateRequest } = require('../middleware/errorHandler');
+const { NotFoundError } = require('../utils/errors');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const upload = multer({ dest: 'uploads/' });
+// Request schemas for the CRUD endpoints
+const idParamSchema = Joi.object({
+  id: Joi.string().uuid().required()
+});
 
-// In-memory storage for ingestion jobs (in production, use Redis or database)
-const ingestionJobs = new Map();
+const listQuerySchema = Joi.object({
+  sortBy: Joi.string().valid('startDate').default('startDate'),
+  order: Joi.string().valid('asc', 'desc').default('asc'),
+  limit: Joi.number().integer().min(1).optional(),
+  offset: Joi.number().integer().min(0).optional(),
+  cursor: Joi.string().optional()
+});
 
-// Create EventCollection instance
-const eventCollection = new EventCollection();
+const searchQuerySchema = Joi.object({
+  q: Joi.string().max(500).optional(),
+  name: Joi.string().optional(),
+  start_date_after: Joi.date().iso().optional(),
+  start_date_before: Joi.date().iso().optional(),
+  end_date_after: Joi.date().iso().optional(),
+  end_date_before: Joi.date().iso().optional(),
+  parent_id: Joi.alternatives().try(Joi.string().uuid(), Joi.string().valid('null')).optional(),
+  metadata: metadataFilterSchema,
+  tags: tagListSchema,
+  tagMatch: tagMatchSchema,
+  // Full-text searches rank by relevance unless another sort is asked for
+  sortBy: Joi.string().valid(...Object.keys(SEARCH_SORT_COLUMNS)).when('q', {
+    is: Joi.exist(),
+    then: Joi.string().default('relevance'),
+    otherwise: Joi.string().invalid('relevance').default('start_date')
+  }),
+  sortOrder: Joi.string().valid('asc', 'desc').when('sortBy', {
+    is: 'relevance',
+    then: Joi.string().default('desc'),
+    otherwise: Joi.string().default('asc')
+  }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(1000).default(10),
+  cursor: Joi.string().optional()
+});
 
-// POST /api/events/ingest - Data ingestion endpoint
-router.post('/ingest', upload.single('file'), async (req, res) => {
-  try {
-    const jobId = `ingest-job-${uuidv4()}`;
-    
-    // Initialize job status
-    ingestionJobs.set(jobId, {
-      status: 'PROCESSING',
-      processedLines: 0,
-      errorLines: 0,
-      totalLines: 0,
-      errors: [],
-      startTime: new Date().toISOString(),
-      endTime: null
-    });
-
-    // Handle file path from request body (server file path)
-    let filePath;
-    if (req.body.filePath) {
-      filePath = req.body.filePath;
-    } else if (req.file) {
-      filePath = req.file.path;
-    } else {
-      return res.status(400).json({ error: 'No file provided' });
-    }
+const descendantsQuerySchema = Joi.object({
+  maxDepth: Joi.number().integer().min(1).max(100).optional()
+});
 
-    // Process file asynchronously
-    processFileAsync(jobId, filePath);
+const moveBodySchema = Joi.object({
+  parentId: Joi.string().uuid().allow(null).required()
+});
 
-    res.status(202).json({
-      status: "Ingestion initiated",
-      jobId: jobId,
-      message: `Check /api/events/ingestion-status/${jobId} for updates.`
-    });
+// Writes take the default containment policy unless ?containment= names one
+const writeQuerySchema = Joi.object({
+  containment: Joi.string().valid(...CONTAINMENT_POLICIES).optional()
+});
 
-  } catch (error) {
-    console.error('Error initiating ingestion:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+const subtreeDeleteQuerySchema = Joi.object({
+  mode: Joi.string().valid(...SUBTREE_DELETE_MODES).default('cascade')
 });
 
-// GET /api/events/ingestion-status/:jobId - Ingestion status endpoint
-router.get('/ingestion-status/:jobId', (req, res) => {
-  try {
-    const { jobId } = req.params;
-    const job = ingestionJobs.get(jobId);
+const statisticsQuerySchema = Joi.object({
+  severityPolicy: Joi.string().optional()
+});
 
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
+const trashQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
 
-    res.json(job);
+const historyQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
 
-  } catch (error) {
-    console.error('Error fetching ingestion status:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+const versionParamsSchema = Joi.object({
+  id: Joi.string().uuid().required(),
+  version: Joi.number().integer().min(1).required()
 });
 
+const eventTagParamsSchema = Joi.object({
+  id: Joi.string().uuid().required(),
+  tag: Joi.string().required()
+});
 
+const eventTagsBodySchema = Joi.object({
+  tags: Joi.array().items(Joi.string().trim().max(100)).unique((a, b) => a.toLowerCase() === b.toLowerCase()).required()
+});
 
-// GET /api/events/search - Event search endpoint
-router.get('/search', async (req, res) => {
-  try {
-    const {
-      name,
-      start_date_after,
-      end_date_before,
-      sortBy = 'start_date',
-      sortOrder = 'asc',
-      page = 1,
-      limit = 10
-    } = req.query;
-
-    let events = await eventCollection.getAllEvents();
-
-    // Apply filters
-    if (name) {
-      events = events.filter(event => 
-        event.eventName.toLowerCase().includes(name.toLowerCase())
-      );
-    }
+const rangeParamsSchema = Joi.object({
+  start: Joi.date().iso().required(),
+  end: Joi.date().iso().min(Joi.ref('start')).required()
+});
 
-    if (start_date_after) {
-      const startDate = new Date(start_date_after);
-      events = events.filter(event => new Date(event.startDate) >= startDate);
-    }
+const ingestBodySchema = Joi.object({
+  filePath: Joi.string().optional(),
+  format: Joi.string().valid(...getFormatNames()).optional(),
+  profile: Joi.string().optional(),
+  mode: Joi.string().valid(...ingestionController.INGESTION_MODES).default('batch'),
+  onConflict: Joi.string().valid(...CONFLICT_POLICIES).default('fail'),
+  unresolvedParents: Joi.string().valid(...ingestionController.UNRESOLVED_PARENT_POLICIES).default('detach'),
+  containment: Joi.string().valid(...CONTAINMENT_POLICIES).default(DEFAULT_CONTAINMENT_POLICY),
+  batchSize: Joi.number().integer().min(1).max(ingestionController.MAX_BATCH_SIZE)
+    .default(ingestionController.DEFAULT_BATCH_SIZE)
+});
 
-    if (end_date_before) {
-      const endDate = new Date(end_date_before);
-      events = events.filter(event => new Date(event.endDate) <= endDate);
-    }
+const ingestQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+  maxIssues: Joi.number().integer().min(1).max(10000).default(1000)
+});
 
-    // Apply sorting
-    events.sort((a, b) => {
-      let aValue, bValue;
-      
-      switch (sortBy) {
-        case 'start_date':
-          aValue = new Date(a.startDate);
-          bValue = new Date(b.startDate);
-          break;
-        case 'event_name':
-          aValue = a.eventName;
-          bValue = b.eventName;
-          break;
-        default:
-          aValue = new Date(a.startDate);
-          bValue = new Date(b.startDate);
-      }
+const jobListQuerySchema = Joi.object({
+  status: Joi.string().valid(...JOB_STATUSES).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
 
-      if (sortOrder === 'desc') {
-        return bValue > aValue ? 1 : -1;
-      } else {
-        return aValue > bValue ? 1 : -1;
-      }
-    });
-
-    // Apply pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const startIndex = (pageNum - 1) * limitNum;
-    const endIndex = startIndex + limitNum;
-    const paginatedEvents = events.slice(startIndex, endIndex);
-
-    // Format response
-    const response = {
-      totalEvents: events.length,
-      page: pageNum,
-      limit: limitNum,
-      events: paginatedEvents.map(event => ({
-        event_id: event.eventId,
-        event_name: event.eventName
-      }))
-    };
-
-    res.json(response);
-
-  } catch (error) {
-    console.error('Error searching events:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+const jobStatusQuerySchema = Joi.object({
+  errorLimit: Joi.number().integer().min(0).max(1000).default(100),
+  errorOffset: Joi.number().integer().min(0).default(0)
 });
 
-// Helper function to process file asynchronously
-async function processFileAsync(jobId, filePath) {
-  try {
-    const job = ingestionJobs.get(jobId);
-    if (!job) return;
-
-    // Read file content
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    const lines = fileContent.split('\n').filter(line => line.trim());
-    
-    job.totalLines = lines.length;
-    job.processedLines = 0;
-    job.errorLines = 0;
-    job.errors = [];
-
-    // Use the global eventCollection instance
-
-    for (let i = 0; i < lines.length; i++) {
-      try {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        // Parse line (assuming pipe-separated format)
-        const parts = line.split('|');
-        if (parts.length < 6) {
-          throw new Error(`Missing fields. Expected 6 fields, got ${parts.length}`);
-        }
-
-        const [eventId, eventName, startDate, endDate, parentId, description] = parts;
-        
-        // Validate dates
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        
-        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-          throw new Error(`Invalid date format`);
-        }
-
-        // Create event
-        const event = {
-          eventId: eventId.trim(),
-          eventName: eventName.trim(),
-          startDate: start.toISOString(),
-          endDate: end.toISOString(),
-          parentId: parentId.trim() === 'NULL' ? null : parentId.trim(),
-          description: description.trim()
-        };
-
-        eventCollection.addEvent(event);
-        job.processedLines++;
-
-      } catch (lineError) {
-        job.errorLines++;
-        job.errors.push(`Line ${i + 1}: ${lineError.message}`);
-      }
-    }
+// Who is making a change, recorded in the event history (optional X-Actor header)
+const actorOf = (req) => ({ actor: req.get('X-Actor') || null });
 
-    // Mark job as completed
-    job.status = 'COMPLETED';
-    job.endTime = new Date().toISOString();
+// Load an ingestion job or fail the request with 404
+const findJob = async (jobId) => {
+  const job = await IngestionJob.findById(jobId);
+  if (!job) {
+    throw new NotFoundError('Job not found');
+  }
+  return job;
+};
 
-  } catch (error) {
-    const job = ingestionJobs.get(jobId);
-    if (job) {
-      job.status = 'FAILED';
-      job.errors.push(`File processing error: ${error.message}`);
-      job.endTime = new Date().toISOString();
+// Configure multer for file uploads
+const upload = multer({ dest: 'uploads/' });
+
+// POST /api/events/ingest - Data ingestion endpoint
+// With ?dryRun=true the file is validated and a report returned; nothing is written
+router.post('/ingest', upload.single('file'), validateRequest(ingestQuerySchema, 'query'), validateRequest(ingestBodySchema), asyncHandler(async (req, res) => {
+  // Handle file path from request body (server file path)
+  // Uploads are stored without an extension, so keep the original name for format detection
+  let filePath;
+  let fileName;
+  if (req.body.filePath) {
+    filePath = req.body.filePath;
+    fileName = filePath;
+  } else if (req.file) {
+    filePath = req.file.path;
+    fileName = req.file.originalname;
+  } else {
+    return res.status(400).json({ error: 'No file provided' });
+  }
+
+  const { mode, batchSize, format, onConflict, unresolvedParents, containment } = req.body;
+
+  // Resolve the mapping profile up front so an unknown name fails the request
+  const profile = req.body.profile ? await profilesController.findProfile(req.body.profile) : null;
+
+  if (req.query.dryRun) {
+    try {
+      const report = await ingestionController.dryRunFile(filePath, {
+        format,
+        fileName,
+        profile,
+        onConflict,
+        unresolvedParents,
+        containment,
+        maxIssues: req.query.maxIssues
+      });
+      return res.json(report);
+    } finally {
+      if (req.file) {
+        fs.promises.unlink(req.file.path).catch(() => {});
+      }
     }
   }
-}
 
+  // Initialize job status
+  const job = await IngestionJob.create({
+    filePath,
+    options: { mode, batchSize, format, onConflict, unresolvedParents, containment, profile: profile ? profile.name : null }
+  });
+
+  // Process file asynchronously
+  ingestionController.processFileAsync(job, filePath, {
+    mode,
+    batchSize,
+    format,
+    fileName,
+    profile,
+    onConflict,
+    unresolvedParents,
+    containment,
+    removeFile: Boolean(req.file)
+  });
+
+  res.status(202).json({
+    status: "Ingestion initiated",
+    jobId: job.jobId,
+    message: `Check /api/events/ingestion-status/${job.jobId} for updates.`
+  });
+}));
 
+// GET /api/events/ingestion-status/:jobId - Ingestion status endpoint
+router.get('/ingestion-status/:jobId', validateRequest(jobStatusQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  const job = await findJob(req.params.jobId);
+  const errors = await job.getErrors({ limit: req.query.errorLimit, offset: req.query.errorOffset });
+
+  res.json({
+    ...job.toObject(),
+    errors: errors.map(({ record, ...error }) => error)
+  });
+}));
+
+// GET /api/events/ingestion-status/:jobId/rejected-rows - CSV of rejected rows with reasons
+router.get('/ingestion-status/:jobId/rejected-rows', asyncHandler(async (req, res) => {
+  await ingestionController.writeRejectedRows(await findJob(req.params.jobId), res);
+}));
+
+// GET /api/events/ingestion-jobs - Paged list of ingestion jobs, newest first
+router.get('/ingestion-jobs', validateRequest(jobListQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  const { status, limit, offset } = req.query;
+  const { jobs, total } = await IngestionJob.list({ status, limit, offset });
+
+  res.json({
+    jobs: jobs.map(job => job.toObject()),
+    total,
+    limit,
+    offset
+  });
+}));
+
+// GET /api/events/search - Event search endpoint
+router.get('/search', validateRequest(searchQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.searchEvents(req.query));
+}));
+
+// GET /api/events/statistics - Event collection statistics
+router.get('/statistics', validateRequest(statisticsQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.getStatistics(req.query));
+}));
+
+// GET /api/events/trash - Deleted events awaiting purge, most recent first
+router.get('/trash', validateRequest(trashQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.getTrash(req.query));
+}));
+
+// POST /api/events/trash/:id/restore - Restore a deleted event and re-attach its children
+router.post('/trash/:id/restore', validateRequest(idParamSchema, 'params'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.restoreEvent(req.params.id, actorOf(req)));
+}));
+
+// DELETE /api/events/trash/:id - Permanently delete an event in the trash
+router.delete('/trash/:id', validateRequest(idParamSchema, 'params'), asyncHandler(async (req, res) => {
+  await eventsController.purgeEvent(req.params.id, actorOf(req));
+  res.status(204).end();
+}));
+
+// GET /api/events/range/:start/:end - Events overlapping a date range
+router.get('/range/:start/:end', validateRequest(rangeParamsSchema, 'params'), asyncHandler(async (req, res) => {
+  const events = await eventsController.getEventsByDateRange(req.params.start, req.params.end);
+  res.json({ events, total: events.length });
+}));
+
+// GET /api/events - List events with sorting and pagination
+router.get('/', validateRequest(listQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.getAllEvents(req.query));
+}));
+
+// POST /api/events - Create a new event
+router.post('/', validateRequest(writeQuerySchema, 'query'), validateRequest(eventSchema), asyncHandler(async (req, res) => {
+  const event = await eventsController.createEvent(req.body, { ...actorOf(req), ...req.query });
+  res.status(201).location(`${req.baseUrl}/${event.eventId}`).json(event);
+}));
+
+// GET /api/events/:id - Get a specific event
+router.get('/:id', validateRequest(idParamSchema, 'params'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.getEventById(req.params.id));
+}));
+
+// PUT /api/events/:id - Replace an existing event
+router.put('/:id', validateRequest(idParamSchema, 'params'), validateRequest(writeQuerySchema, 'query'), validateRequest(eventSchema), asyncHandler(async (req, res) => {
+  res.json(await eventsController.replaceEvent(req.params.id, req.body, { ...actorOf(req), ...req.query }));
+}));
+
+// PATCH /api/events/:id - Partially update an existing event
+router.patch('/:id', validateRequest(idParamSchema, 'params'), validateRequest(writeQuerySchema, 'query'), validateRequest(eventPatchSchema), asyncHandler(async (req, res) => {
+  res.json(await eventsController.updateEvent(req.params.id, req.body, { ...actorOf(req), ...req.query }));
+}));
+
+// DELETE /api/events/:id - Move an event to the trash
+router.delete('/:id', validateRequest(idParamSchema, 'params'), asyncHandler(async (req, res) => {
+  await eventsController.deleteEvent(req.params.id, actorOf(req));
+  res.status(204).end();
+}));
+
+// GET /api/events/:id/children - Direct children of an event
+router.get('/:id/children', validateRequest(idParamSchema, 'params'), asyncHandler(async (req, res) => {
+  const children = await eventsController.getChildEvents(req.params.id);
+  res.json({ parentId: req.params.id, children, total: children.length });
+}));
+
+// GET /api/events/:id/ancestors - Breadcrumb from the root down to the event's parent
+router.get('/:id/ancestors', validateRequest(idParamSchema, 'params'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.getAncestors(req.params.id));
+}));
+
+// GET /api/events/:id/descendants - All descendants with their depth below the event
+router.get('/:id/descendants', validateRequest(idParamSchema, 'params'), validateRequest(descendantsQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.getDescendants(req.params.id, req.query));
+}));
+
+// GET /api/events/:id/siblings - Events with the same parent
+router.get('/:id/siblings', validateRequest(idParamSchema, 'params'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.getSiblings(req.params.id));
+}));
+
+// GET /api/events/:id/lineage - Every root-to-leaf path through the event
+router.get('/:id/lineage', validateRequest(idParamSchema, 'params'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.getLineage(req.params.id));
+}));
+
+// POST /api/events/:id/move - Move an event and its subtree under another parent
+router.post('/:id/move', validateRequest(idParamSchema, 'params'), validateRequest(moveBodySchema), asyncHandler(async (req, res) => {
+  res.json(await eventsController.moveEvent(req.params.id, req.body.parentId, actorOf(req)));
+}));
+
+// POST /api/events/:id/detach - Make an event a root, keeping its subtree
+router.post('/:id/detach', validateRequest(idParamSchema, 'params'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.detachEvent(req.params.id, actorOf(req)));
+}));
+
+// DELETE /api/events/:id/subtree - Trash an event with its descendants, or promote its children
+router.delete('/:id/subtree', validateRequest(idParamSchema, 'params'), validateRequest(subtreeDeleteQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.deleteEventSubtree(req.params.id, req.query.mode, actorOf(req)));
+}));
+
+// GET /api/events/:id/history - Recorded versions of an event, newest first
+router.get('/:id/history', validateRequest(idParamSchema, 'params'), validateRequest(historyQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.getEventHistory(req.params.id, req.query));
+}));
+
+// POST /api/events/:id/history/:version/restore - Restore the state recorded by a version
+router.post('/:id/history/:version/restore', validateRequest(versionParamsSchema, 'params'), validateRequest(writeQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  res.json(await eventsController.restoreEventVersion(req.params.id, req.params.version, { ...actorOf(req), ...req.query }));
+}));
+
+// GET /api/events/:id/tags - Tags attached to an event
+router.get('/:id/tags', validateRequest(idParamSchema, 'params'), asyncHandler(async (req, res) => {
+  const tags = await tagsController.getEventTags(req.params.id);
+  res.json({ eventId: req.params.id, tags, total: tags.length });
+}));
+
+// PUT /api/events/:id/tags - Replace the tags attached to an event
+router.put('/:id/tags', validateRequest(idParamSchema, 'params'), validateRequest(eventTagsBodySchema), asyncHandler(async (req, res) => {
+  const tags = await tagsController.setEventTags(req.params.id, req.body.tags);
+  res.json({ eventId: req.params.id, tags, total: tags.length });
+}));
+
+// POST /api/events/:id/tags - Attach tags to an event, keeping those already attached
+router.post('/:id/tags', validateRequest(idParamSchema, 'params'), validateRequest(eventTagsBodySchema), asyncHandler(async (req, res) => {
+  const tags = await tagsController.addEventTags(req.params.id, req.body.tags);
+  res.json({ eventId: req.params.id, tags, total: tags.length });
+}));
+
+// DELETE /api/events/:id/tags/:tag - Detach a tag (by ID or name) from an event
+router.delete('/:id/tags/:tag', validateRequest(eventTagParamsSchema, 'params'), asyncHandler(async (req, res) => {
+  await tagsController.removeEventTag(req.params.id, req.params.tag);
+  res.status(204).end();
+}));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,126 @@
+const express = require('express');
+const Joi = require('joi');
+const gapFinder = require('../controllers/gapFinder');
+const policiesController = require('../controllers/gapPolicies');
+const { eventSchema } = require('../models/Event');
+const { policySchema } = require('../models/GapSeverityPolicy');
+const { asyncHandler, validateRequest } = require('../middleware/errorHandler');
+const { sendData } = require('../utils/response');
+const { gapScopeKeys } = require('../utils/gapScope');
+
+const router = express.Router();
+
+// Request schemas
+// Severity labels depend on the policy, so severity is checked against it later.
+// Partitioned lists are not paged: limit caps each partition instead.
+const gapsQuerySchema = Joi.object({
+  minGapMinutes: Joi.number().integer().min(0).default(0),
+  severityPolicy: Joi.string().optional(),
+  calendarId: Joi.string().optional(),
+  severity: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).optional(),
+  cursor: Joi.string().optional(),
+  ...gapScopeKeys
+}).oxor('cursor', 'partitionBy')
+  .messages({ 'object.oxor': 'cursor cannot be combined with partitionBy' });
+
+const gapReportQuerySchema = Joi.object({
+  severityPolicy: Joi.string().optional(),
+  calendarId: Joi.string().optional(),
+  ...gapScopeKeys
+});
+
+// Scope and labelling of a simulation; its gaps are not partitioned
+const simulateQuerySchema = Joi.object({
+  minGapMinutes: Joi.number().integer().min(0).default(0),
+  severityPolicy: Joi.string().optional(),
+  calendarId: Joi.string().optional(),
+  ...gapScopeKeys,
+  partitionBy: Joi.any().forbidden()
+});
+
+// A move gives an event new dates; the one left out keeps its stored value
+const simulatedMoveSchema = Joi.object({
+  eventId: Joi.string().uuid().required(),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso()
+}).or('startDate', 'endDate');
+
+const simulateSchema = Joi.object({
+  moves: Joi.array().items(simulatedMoveSchema).unique('eventId').default([]),
+  inserts: Joi.array().items(eventSchema).default([]),
+  deletions: Joi.array().items(Joi.string().uuid()).unique().default([])
+}).custom((changes, helpers) => (
+  changes.moves.length + changes.inserts.length + changes.deletions.length > 0
+    ? changes
+    : helpers.message('A simulation needs at least one move, insert or deletion')
+));
+
+// GET /api/gaps - Temporal gaps with optional severity, size and scope filters.
+// With partitionBy, data lists one { partition, eventCount, gaps, total, summary }
+// report per group.
+router.get('/', validateRequest(gapsQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  const result = await gapFinder.findTemporalGaps(req.query);
+  if (result.partitions) {
+    const { partitionBy, partitions, severityPolicy, calendarId } = result;
+    return sendData(res, partitions, { meta: { total: partitions.length, partitionBy, severityPolicy, calendarId } });
+  }
+
+  const { gaps, total, summary, severityPolicy, calendarId, nextCursor, prevCursor } = result;
+  sendData(res, gaps, { meta: { total, severityPolicy, calendarId, summary, nextCursor, prevCursor } });
+}));
+
+// GET /api/gaps/critical - Gaps in the most severe bucket (critical by default),
+// one { partition, eventCount, gaps, total, severity } report per group with partitionBy
+router.get('/critical', validateRequest(gapReportQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  const result = await gapFinder.findCriticalGaps(req.query);
+  if (result.partitions) {
+    const { partitionBy, partitions, severityPolicy, calendarId } = result;
+    return sendData(res, partitions, { meta: { total: partitions.length, partitionBy, severityPolicy, calendarId } });
+  }
+
+  const { gaps, total, severity, severityPolicy, calendarId } = result;
+  sendData(res, gaps, { meta: { total, severity, severityPolicy, calendarId } });
+}));
+
+// GET /api/gaps/analysis - Gap statistics, worst offenders and recommendations
+router.get('/analysis', validateRequest(gapReportQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  sendData(res, await gapFinder.analyzeGaps(req.query));
+}));
+
+// GET /api/gaps/policies - List severity policies, the built-in default first
+router.get('/policies', asyncHandler(async (req, res) => {
+  const policies = await policiesController.getAllPolicies();
+  sendData(res, policies, { meta: { total: policies.length } });
+}));
+
+// POST /api/gaps/policies - Create a severity policy
+router.post('/policies', validateRequest(policySchema), asyncHandler(async (req, res) => {
+  const policy = await policiesController.createPolicy(req.body);
+  res.location(`${req.baseUrl}/policies/${policy.policyId}`);
+  sendData(res, policy, { statusCode: 201 });
+}));
+
+// GET /api/gaps/policies/:policy - Get a severity policy by ID or name
+router.get('/policies/:policy', asyncHandler(async (req, res) => {
+  sendData(res, await policiesController.getPolicy(req.params.policy));
+}));
+
+// PUT /api/gaps/policies/:policy - Replace a severity policy
+router.put('/policies/:policy', validateRequest(policySchema), asyncHandler(async (req, res) => {
+  sendData(res, await policiesController.updatePolicy(req.params.policy, req.body));
+}));
+
+// DELETE /api/gaps/policies/:policy - Remove a severity policy
+router.delete('/policies/:policy', asyncHandler(async (req, res) => {
+  await policiesController.deletePolicy(req.params.policy);
+  res.status(204).end();
+}));
+
+// POST /api/gaps/simulate - What-if gap analysis for proposed moves, inserts and
+// deletions; nothing is saved
+router.post('/simulate', validateRequest(simulateQuerySchema, 'query'), validateRequest(simulateSchema), asyncHandler(async (req, res) => {
+  sendData(res, await gapFinder.simulateGapFilling(req.body, req.query));
+}));
+
+module.exports = router;
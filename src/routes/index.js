@@ -2,6 +2,12 @@ const express = require('express');
 const eventRoutes = require('./events');
 const insightsRoutes = require('./insights');
 const timelineRoutes = require('./timeline');
+const gapRoutes = require('./gaps');
+const influenceRoutes = require('./influence');
+const influenceSpreaderRoutes = require('./influenceSpreader');
+const ingestionProfileRoutes = require('./ingestionProfiles');
+const tagRoutes = require('./tags');
+const calendarRoutes = require('./calendars');
 
 const router = express.Router();
 
@@ -9,10 +15,22 @@ const router = express.Router();
 router.use('/api/events', eventRoutes);
 router.use('/api/insights', insightsRoutes);
 router.use('/api/timeline', timelineRoutes);
+router.use('/api/gaps', gapRoutes);
+router.use('/api/influence', influenceRoutes);
+router.use('/api/influence-spreader', influenceSpreaderRoutes);
+router.use('/api/ingestion-profiles', ingestionProfileRoutes);
+router.use('/api/tags', tagRoutes);
+router.use('/api/calendars', calendarRoutes);
 
 module.exports = {
   router,
   eventRoutes,
   insightsRoutes,
-  timelineRoutes
+  timelineRoutes,
+  gapRoutes,
+  influenceRoutes,
+  influenceSpreaderRoutes,
+  ingestionProfileRoutes,
+  tagRoutes,
+  calendarRoutes
 };
@@ -0,0 +1,55 @@
+const express = require('express');
+const Joi = require('joi');
+const influenceSpreader = require('../controllers/influenceSpreader');
+const { asyncHandler, validateRequest } = require('../middleware/errorHandler');
+const { sendData } = require('../utils/response');
+
+const router = express.Router();
+
+// Request schemas
+const eventParamSchema = Joi.object({
+  eventId: Joi.string().uuid().required()
+});
+
+const depthQuerySchema = (defaultDepth) => Joi.object({
+  maxDepth: Joi.number().integer().min(0).max(10).default(defaultDepth)
+});
+
+const simulateSchema = Joi.object({
+  eventId: Joi.string().uuid().required(),
+  newParentId: Joi.string().uuid().allow(null).optional(),
+  affectedEvents: Joi.array().items(Joi.string().uuid()).optional(),
+  maxDepth: Joi.number().integer().min(0).max(10).default(3)
+});
+
+// GET /api/influence/global - Influence analysis across every event
+router.get('/global', asyncHandler(async (req, res) => {
+  sendData(res, await influenceSpreader.performGlobalAnalysis());
+}));
+
+// POST /api/influence/simulate - What-if analysis for moving an event in the hierarchy
+router.post('/simulate', validateRequest(simulateSchema), asyncHandler(async (req, res) => {
+  sendData(res, await influenceSpreader.simulateInfluenceChanges(req.body));
+}));
+
+// GET /api/influence/:eventId - Influence spreading from a single event
+router.get(
+  '/:eventId',
+  validateRequest(eventParamSchema, 'params'),
+  validateRequest(depthQuerySchema(3), 'query'),
+  asyncHandler(async (req, res) => {
+    sendData(res, await influenceSpreader.calculateEventInfluence(req.params.eventId, req.query));
+  })
+);
+
+// GET /api/influence/:eventId/network - Nodes and edges for network visualisation
+router.get(
+  '/:eventId/network',
+  validateRequest(eventParamSchema, 'params'),
+  validateRequest(depthQuerySchema(2), 'query'),
+  asyncHandler(async (req, res) => {
+    sendData(res, await influenceSpreader.getInfluenceNetwork(req.params.eventId, req.query));
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const profilesController = require('../controllers/ingestionProfiles');
+const { profileSchema } = require('../models/IngestionProfile');
+const { asyncHandler, validateRequest } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// GET /api/ingestion-profiles - List mapping profiles
+router.get('/', asyncHandler(async (req, res) => {
+  const profiles = await profilesController.getAllProfiles();
+  res.json({ profiles, total: profiles.length });
+}));
+
+// POST /api/ingestion-profiles - Create a mapping profile
+router.post('/', validateRequest(profileSchema), asyncHandler(async (req, res) => {
+  const profile = await profilesController.createProfile(req.body);
+  res.status(201).location(`${req.baseUrl}/${profile.profileId}`).json(profile);
+}));
+
+// GET /api/ingestion-profiles/:profile - Get a profile by ID or name
+router.get('/:profile', asyncHandler(async (req, res) => {
+  res.json(await profilesController.getProfile(req.params.profile));
+}));
+
+// PUT /api/ingestion-profiles/:profile - Replace a profile
+router.put('/:profile', validateRequest(profileSchema), asyncHandler(async (req, res) => {
+  res.json(await profilesController.updateProfile(req.params.profile, req.body));
+}));
+
+// DELETE /api/ingestion-profiles/:profile - Remove a profile
+router.delete('/:profile', asyncHandler(async (req, res) => {
+  await profilesController.deleteProfile(req.params.profile);
+  res.status(204).end();
+}));
+
+module.exports = router;
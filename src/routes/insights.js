@@ -1,5 +1,10 @@
 const express = require('express');
+const Joi = require('joi');
 const { EventCollection } = require('../models/Event');
+const { resolveCalendar } = require('../controllers/calendars');
+const { resolveGapScope } = require('../controllers/gapFinder');
+const { gapScopeKeys } = require('../utils/gapScope');
+const { asyncHandler, validateRequest } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
@@ -94,6 +99,13 @@ async function findShortestPath(sourceEventId, targetEventId, eventCollection) {
 // Create EventCollection instance
 const eventCollection = new EventCollection();
 
+const temporalGapsQuerySchema = Joi.object({
+  startDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().greater(Joi.ref('startDate')).required(),
+  calendarId: Joi.string().optional(),
+  ...gapScopeKeys
+});
+
 // GET /api/insights/event-influence - See how events affect each other
 // This endpoint shows connections between events based on when they happened
 router.get('/event-influence', async (req, res) => {
@@ -254,176 +266,64 @@ router.get('/event-influence-path', async (req, res) => {
   }
 });
 
-// GET /api/insights/temporal-gaps - Find the gaps in your timeline
-router.get('/temporal-gaps', async (req, res) => {
-  try {
-    const { startDate, endDate } = req.query;
-    
-    // Make sure we have the dates we need
-    if (!startDate || !endDate) {
-      return res.status(400).json({ 
-        error: 'We need both a start and end date to find gaps in your timeline' 
-      });
+// Response shape of a gap found by /temporal-gaps
+function describeLargestGap(gap, calendar) {
+  return {
+    startOfGap: gap.gapStart.toISOString(),
+    endOfGap: gap.gapEnd.toISOString(),
+    durationMinutes: gap.gapMinutes,
+    ...(calendar && { elapsedMinutes: gap.elapsedMinutes }),
+    precedingEvent: {
+      event_id: gap.beforeEvent.eventId,
+      event_name: gap.beforeEvent.eventName,
+      end_date: gap.beforeEvent.endDate
+    },
+    succeedingEvent: {
+      event_id: gap.afterEvent.eventId,
+      event_name: gap.afterEvent.eventName,
+      start_date: gap.afterEvent.startDate
     }
+  };
+}
 
-    // Convert the string dates to actual Date objects
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    // Check if the dates make sense
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-      return res.status(400).json({ error: 'Those dates don\'t look right. Try using YYYY-MM-DD format.' });
-    }
-    
-    // Grab all our events so we can look at the whole timeline
-    const events = await eventCollection.getAllEvents();
-    
-    // We need to find events just outside our date range too
-    let mostRecentBeforeStart = null; // The last thing that happened before our start date
-    let earliestAfterEnd = null;      // The first thing that happened after our end date
-    
-    events.forEach(event => {
-      const eventEnd = new Date(event.endDate || event.startDate);
-      const eventStart = new Date(event.startDate);
-      
-      // Look for the most recent event that ended before or right at our start date
-      if (eventEnd <= start) {
-        if (!mostRecentBeforeStart || eventEnd > new Date(mostRecentBeforeStart.endDate || mostRecentBeforeStart.startDate)) {
-          mostRecentBeforeStart = event;
-        }
-      }
-      
-      // Look for the earliest event that started after or right at our end date
-      if (eventStart >= end) {
-        if (!earliestAfterEnd || eventStart < new Date(earliestAfterEnd.startDate)) {
-          earliestAfterEnd = event;
-        }
-      }
-    });
-    
-    // Now let's find all events that fall completely within our date range
-    const filteredEvents = events.filter(event => {
-      const eventStart = new Date(event.startDate);
-      const eventEnd = new Date(event.endDate || event.startDate);
-      return eventStart >= start && eventEnd <= end;
+// GET /api/insights/temporal-gaps - Largest gap overlapping a date range. Gaps
+// are measured across the scoped events (all by default, see gapScope), so
+// overlapping or nested events never open one; with calendarId only working time
+// counts. partitionBy finds the largest gap of each group separately.
+router.get('/temporal-gaps', validateRequest(temporalGapsQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  const { startDate, endDate, partitionBy } = req.query;
+  const calendar = await resolveCalendar(req.query.calendarId);
+  const options = { ...await resolveGapScope(req.query), calendar };
+
+  // Gap lists come largest first
+  const largestIn = (gaps) => gaps.find(gap => gap.gapStart < endDate && gap.gapEnd > startDate);
+
+  if (partitionBy) {
+    const groups = await eventCollection.findPartitionedGaps(0, partitionBy, options);
+    return res.json({
+      partitionBy,
+      partitions: groups.map(({ partition, eventCount, gaps }) => {
+        const largest = largestIn(gaps);
+        return { partition, eventCount, largestGap: largest ? describeLargestGap(largest, calendar) : null };
+      }),
+      message: 'Largest temporal gap identified for each partition.'
     });
-    
-    // Put them in chronological order
-    filteredEvents.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
-    
-    // Let's look for gaps in the timeline
-    const gaps = [];
-    
-    // First, check if there's a gap between our "before" event and the first event in our range
-    if (mostRecentBeforeStart && filteredEvents.length > 0) {
-      const beforeEnd = new Date(mostRecentBeforeStart.endDate || mostRecentBeforeStart.startDate);
-      const firstStart = new Date(filteredEvents[0].startDate);
-      
-      // Is there actually a gap here?
-      if (beforeEnd < firstStart) {
-        // Calculate how long the gap is in minutes
-        const gapDurationMs = firstStart - beforeEnd;
-        const gapDurationMinutes = Math.round(gapDurationMs / (1000 * 60));
-        
-        gaps.push({
-          startOfGap: beforeEnd.toISOString(),
-          endOfGap: firstStart.toISOString(),
-          durationMinutes: gapDurationMinutes,
-          precedingEvent: {
-            event_id: mostRecentBeforeStart.eventId,
-            event_name: mostRecentBeforeStart.eventName,
-            end_date: beforeEnd.toISOString()
-          },
-          succeedingEvent: {
-            event_id: filteredEvents[0].eventId,
-            event_name: filteredEvents[0].eventName,
-            start_date: firstStart.toISOString()
-          }
-        });
-      }
-    }
-    
-    // Find gaps between events in the range
-    for (let i = 0; i < filteredEvents.length - 1; i++) {
-      const currentEvent = filteredEvents[i];
-      const nextEvent = filteredEvents[i + 1];
-      
-      const currentEnd = new Date(currentEvent.endDate || currentEvent.startDate);
-      const nextStart = new Date(nextEvent.startDate);
-      
-      // If there's a gap between the current event's end and the next event's start
-      if (currentEnd < nextStart) {
-        const gapDurationMs = nextStart - currentEnd;
-        const gapDurationMinutes = Math.round(gapDurationMs / (1000 * 60));
-        
-        gaps.push({
-          startOfGap: currentEnd.toISOString(),
-          endOfGap: nextStart.toISOString(),
-          durationMinutes: gapDurationMinutes,
-          precedingEvent: {
-            event_id: currentEvent.eventId,
-            event_name: currentEvent.eventName,
-            end_date: currentEnd.toISOString()
-          },
-          succeedingEvent: {
-            event_id: nextEvent.eventId,
-            event_name: nextEvent.eventName,
-            start_date: nextStart.toISOString()
-          }
-        });
-      }
-    }
-    
-    // Add gap between last event in range and earliestAfterEnd (if exists)
-    if (earliestAfterEnd && filteredEvents.length > 0) {
-      const lastEvent = filteredEvents[filteredEvents.length - 1];
-      const lastEnd = new Date(lastEvent.endDate || lastEvent.startDate);
-      const afterStart = new Date(earliestAfterEnd.startDate);
-      
-      if (lastEnd < afterStart) {
-        const gapDurationMs = afterStart - lastEnd;
-        const gapDurationMinutes = Math.round(gapDurationMs / (1000 * 60));
-        
-        gaps.push({
-          startOfGap: lastEnd.toISOString(),
-          endOfGap: afterStart.toISOString(),
-          durationMinutes: gapDurationMinutes,
-          precedingEvent: {
-            event_id: lastEvent.eventId,
-            event_name: lastEvent.eventName,
-            end_date: lastEnd.toISOString()
-          },
-          succeedingEvent: {
-            event_id: earliestAfterEnd.eventId,
-            event_name: earliestAfterEnd.eventName,
-            start_date: afterStart.toISOString()
-          }
-        });
-      }
-    }
-    
-    // Sort gaps by duration (largest first)
-    gaps.sort((a, b) => b.durationMinutes - a.durationMinutes);
-    
-    // If no gaps found
-    if (gaps.length === 0) {
-      return res.json({
-        largestGap: null,
-        message: "Looks like your timeline is pretty solid! We didn't find any gaps in this date range."
-      });
-    }
-    
-    // Return the largest gap
+  }
+
+  const largest = largestIn(await eventCollection.findTemporalGaps(0, options));
+
+  if (!largest) {
     return res.json({
-      largestGap: gaps[0],
-      message: "Largest temporal gap identified."
+      largestGap: null,
+      message: "Looks like your timeline is pretty solid! We didn't find any gaps in this date range."
     });
-    
-  } catch (error) {
-    console.error('Problem finding gaps in timeline:', error);
-    res.status(500).json({ error: 'Something went wrong while analyzing your timeline. Please try again.' });
   }
-});
+
+  res.json({
+    largestGap: describeLargestGap(largest, calendar),
+    message: 'Largest temporal gap identified.'
+  });
+}));
 
 // GET /api/insights/overlapping-events - Overlapping events analysis
 router.get('/overlapping-events', async (req, res) => {
@@ -490,93 +390,11 @@ router.get('/overlapping-events', async (req, res) => {
   }
 });
 
-// GET /api/insights/temporal-gaps - Temporal gaps analysis
-router.get('/temporal-gaps', async (req, res) => {
-  try {
-    const { startDate, endDate } = req.query;
-    
-    if (!startDate || !endDate) {
-      return res.status(400).json({ 
-        error: 'startDate and endDate query parameters are required' 
-      });
-    }
-
-    const events = await eventCollection.getAllEvents();
-    
-    // Filter events within the specified date range
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    const filteredEvents = events.filter(event => {
-      const eventStart = new Date(event.startDate);
-      const eventEnd = new Date(event.endDate);
-      
-      // Check if event overlaps with the specified range
-      return (eventStart < end && eventEnd > start);
-    });
-
-    if (filteredEvents.length < 2) {
-      return res.json({
-        largestGap: null,
-        message: "No significant temporal gaps found within the specified range, or too few events."
-      });
-    }
-
-    // Sort events by start date
-    filteredEvents.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
-
-    let largestGap = null;
-    let maxGapDuration = 0;
-
-    // Find gaps between consecutive events
-    for (let i = 0; i < filteredEvents.length - 1; i++) {
-      const currentEvent = filteredEvents[i];
-      const nextEvent = filteredEvents[i + 1];
-      
-      const currentEnd = new Date(currentEvent.endDate);
-      const nextStart = new Date(nextEvent.startDate);
-      
-      // Calculate gap duration
-      const gapDuration = (nextStart - currentEnd) / (1000 * 60); // in minutes
-      
-      // Only consider gaps that are significant (more than 1 minute)
-      if (gapDuration > 1 && gapDuration > maxGapDuration) {
-        maxGapDuration = gapDuration;
-        largestGap = {
-          startOfGap: currentEnd.toISOString(),
-          endOfGap: nextStart.toISOString(),
-          durationMinutes: Math.round(gapDuration),
-          precedingEvent: {
-            event_id: currentEvent.eventId,
-            event_name: currentEvent.eventName,
-            end_date: currentEvent.endDate
-          },
-          succeedingEvent: {
-            event_id: nextEvent.eventId,
-            event_name: nextEvent.eventName,
-            start_date: nextEvent.startDate
-          }
-        };
-      }
-    }
-
-    if (largestGap) {
-      res.json({
-        largestGap: largestGap,
-        message: "Largest temporal gap identified."
-      });
-    } else {
-      res.json({
-        largestGap: null,
-        message: "No significant temporal gaps found within the specified range, or too few events."
-      });
-    }
-
-  } catch (error) {
-    console.error('Error finding temporal gaps:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+// GET /api/insights/hierarchy-violations - Events not contained within their parent's dates
+router.get('/hierarchy-violations', asyncHandler(async (req, res) => {
+  const violations = await eventCollection.findHierarchyViolations();
+  res.json({ violations, total: violations.length });
+}));
 
 // Helper function to check if two events overlap
 function eventsOverlap(event1, event2) {
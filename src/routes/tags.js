@@ -0,0 +1,47 @@
+const express = require('express');
+const Joi = require('joi');
+const tagsController = require('../controllers/tags');
+const { tagSchema } = require('../models/Tag');
+const { asyncHandler, validateRequest } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+const tagEventsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// GET /api/tags - List tags with event counts
+router.get('/', asyncHandler(async (req, res) => {
+  const tags = await tagsController.getAllTags();
+  res.json({ tags, total: tags.length });
+}));
+
+// POST /api/tags - Create a tag
+router.post('/', validateRequest(tagSchema), asyncHandler(async (req, res) => {
+  const tag = await tagsController.createTag(req.body);
+  res.status(201).location(`${req.baseUrl}/${tag.tagId}`).json(tag);
+}));
+
+// GET /api/tags/:tag - Get a tag by ID or name
+router.get('/:tag', asyncHandler(async (req, res) => {
+  res.json(await tagsController.getTag(req.params.tag));
+}));
+
+// PUT /api/tags/:tag - Replace a tag
+router.put('/:tag', validateRequest(tagSchema), asyncHandler(async (req, res) => {
+  res.json(await tagsController.updateTag(req.params.tag, req.body));
+}));
+
+// DELETE /api/tags/:tag - Remove a tag from the catalogue and from every event
+router.delete('/:tag', asyncHandler(async (req, res) => {
+  await tagsController.deleteTag(req.params.tag);
+  res.status(204).end();
+}));
+
+// GET /api/tags/:tag/events - Events carrying a tag, by start date
+router.get('/:tag/events', validateRequest(tagEventsQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  res.json(await tagsController.getTagEvents(req.params.tag, req.query));
+}));
+
+module.exports = router;
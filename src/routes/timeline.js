@@ -1,101 +1,128 @@
 const express = require('express');
+const Joi = require('joi');
 const { EventCollection } = require('../models/Event');
+const { NotFoundError } = require('../utils/errors');
+const { decodeCursor } = require('../utils/cursor');
+const { metadataFilterSchema } = require('../utils/metadataFilter');
+const { tagListSchema, tagMatchSchema } = require('../utils/tagFilter');
+const { asyncHandler, validateRequest } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
+const timelineQuerySchema = Joi.object({
+  startDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).required(),
+  sort: Joi.string().valid('asc', 'desc').default('asc'),
+  limit: Joi.number().integer().min(1).max(1000).optional(),
+  cursor: Joi.string().optional(),
+  metadata: metadataFilterSchema,
+  tags: tagListSchema,
+  tagMatch: tagMatchSchema
+});
+
+const timelineTreeParamsSchema = Joi.object({
+  rootEventId: Joi.string().uuid().required()
+});
+
+const timelineTreeQuerySchema = Joi.object({
+  maxDepth: Joi.number().integer().min(0).max(100).optional(),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().when('startDate', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('startDate'))
+  }).optional(),
+  sortBy: Joi.string().valid('start_date', 'end_date', 'event_name', 'duration').default('start_date'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('asc')
+});
+
 // Create EventCollection instance
 const eventCollection = new EventCollection();
 
-// Helper function to build hierarchical timeline
-async function buildHierarchicalTimeline(event, eventCollection) {
-  const timeline = {
+// Timeline node for one subtree row; children are filled in by buildHierarchicalTimeline
+function toTimelineNode({ event, depth, childCount, subtree }) {
+  return {
     event_id: event.eventId,
     event_name: event.eventName,
     description: event.description,
     start_date: event.startDate.toISOString(),
     end_date: event.endDate.toISOString(),
-    duration_minutes: Math.round((event.endDate - event.startDate) / (1000 * 60)),
+    duration_minutes: event.duration,
     parent_event_id: event.parentId,
+    depth,
+    child_count: childCount,
+    children_truncated: false,
+    subtree: {
+      event_count: subtree.eventCount,
+      total_duration_minutes: subtree.totalDuration,
+      start_date: subtree.start.toISOString(),
+      end_date: subtree.end.toISOString(),
+      span_minutes: Math.round((subtree.end - subtree.start) / (1000 * 60))
+    },
     children: []
   };
-
-  // Find and add children
-  const children = await eventCollection.getChildEvents(event.eventId);
-  for (const child of children) {
-    timeline.children.push(await buildHierarchicalTimeline(child, eventCollection));
-  }
-
-  return timeline;
 }
 
-// GET /api/timeline/:rootEventId - Hierarchical timeline endpoint
-router.get('/:rootEventId', async (req, res) => {
-  try {
-    const { rootEventId } = req.params;
-    
-    // Get the event
-    const event = await eventCollection.getEvent(rootEventId);
-
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
+// Assemble the flat, depth-ordered rows of getSubtree into a tree. Nodes whose
+// children were cut off by maxDepth are flagged so clients can expand them
+// with another request rooted at that node.
+function buildHierarchicalTimeline(rows) {
+  const nodes = new Map();
+  rows.forEach(row => {
+    const node = toTimelineNode(row);
+    nodes.set(node.event_id, node);
+    const parent = row.depth > 0 ? nodes.get(node.parent_event_id) : null;
+    if (parent) {
+      parent.children.push(node);
     }
+  });
 
-    // Build hierarchical timeline
-    const timeline = await buildHierarchicalTimeline(event, eventCollection);
-    res.json(timeline);
+  nodes.forEach(node => {
+    node.children_truncated = node.children.length < node.child_count;
+  });
+  return rows.length > 0 ? nodes.get(rows[0].event.eventId) : null;
+}
 
-  } catch (error) {
-    console.error('Error fetching timeline:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// GET /api/timeline/:rootEventId - Hierarchical timeline endpoint
+router.get('/:rootEventId', validateRequest(timelineTreeParamsSchema, 'params'), validateRequest(timelineTreeQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  const rows = await eventCollection.getSubtree(req.params.rootEventId, req.query);
+  if (rows.length === 0) {
+    throw new NotFoundError('Event not found');
   }
-});
 
-// GET /api/timeline - Timeline events within a date range
-router.get('/', async (req, res) => {
-  try {
-    const { startDate, endDate, sort } = req.query;
-    
-    if (!startDate || !endDate) {
-      return res.status(400).json({ 
-        error: 'startDate and endDate query parameters are required' 
-      });
-    }
+  res.json(buildHierarchicalTimeline(rows));
+}));
 
-    const events = await eventCollection.getAllEvents();
-    
-    // Filter events within the specified date range
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    const filteredEvents = events.filter(event => {
-      const eventStart = new Date(event.startDate);
-      const eventEnd = new Date(event.endDate);
-      
-      // Check if event overlaps with the specified range
-      return eventStart <= end && eventEnd >= start;
-    });
+// GET /api/timeline - Timeline events within a date range.
+// Pass limit to page through the range; follow nextCursor/prevCursor for more.
+router.get('/', validateRequest(timelineQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  const { startDate, endDate, sort, limit, metadata, tags, tagMatch } = req.query;
+  const order = `start_date:${sort}`;
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor, order) : undefined;
 
-    // Sort events by start date (ascending by default)
-    const sortedEvents = filteredEvents.sort((a, b) => {
-      const aStart = new Date(a.startDate);
-      const bStart = new Date(b.startDate);
-      
-      return sort === 'desc' ? bStart - aStart : aStart - bStart;
-    });
+  // Events overlapping the range: starting before it ends and ending after it starts
+  const { events, total, nextCursor, prevCursor } = await eventCollection.searchEvents({
+    startDateBefore: endDate,
+    endDateAfter: startDate,
+    metadata,
+    tags,
+    tagMatch,
+    sortBy: 'start_date',
+    sortOrder: sort,
+    limit,
+    cursor
+  });
 
-    res.json({
-      timeline: sortedEvents,
-      count: sortedEvents.length,
-      timeRange: {
-        start: start.toISOString(),
-        end: end.toISOString()
-      }
-    });
-
-  } catch (error) {
-    console.error('Timeline error:', error);
-    res.status(500).json({ error: 'Failed to retrieve timeline' });
-  }
-});
+  res.json({
+    timeline: events.map(event => event.toObject()),
+    count: events.length,
+    total,
+    nextCursor,
+    prevCursor,
+    timeRange: {
+      start: startDate.toISOString(),
+      end: endDate.toISOString()
+    }
+  });
+}));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,200 @@
+const moment = require('moment');
+const { RowError } = require('./errors');
+
+// Maps parsed ingestion records (objects keyed by source column) onto Event fields.
+// Without a profile, columns are matched by FIELD_ALIASES. A mapping profile adds
+// explicit column -> field mappings with per-column transforms.
+
+const EVENT_FIELDS = ['eventId', 'eventName', 'startDate', 'endDate', 'parentId', 'description', 'metadata'];
+const DATE_FIELDS = ['startDate', 'endDate'];
+
+// Mapping targets: an Event field or a (nested) metadata key such as metadata.source.rank
+const TARGET_PATTERN = new RegExp(`^(${EVENT_FIELDS.join('|')}|metadata(\\.[A-Za-z0-9_-]+)+)$`);
+
+// Header names accepted for each Event field, compared after normalizeHeader()
+const FIELD_ALIASES = {
+  eventId: ['eventid', 'id'],
+  eventName: ['eventname', 'name'],
+  startDate: ['startdate', 'start'],
+  endDate: ['enddate', 'end'],
+  parentId: ['parentid', 'parenteventid', 'parent'],
+  description: ['description'],
+  metadata: ['metadata']
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const ALIAS_LOOKUP = new Map(Object.entries(FIELD_ALIASES)
+  .flatMap(([field, aliases]) => aliases.map(alias => [alias, field])));
+
+// True when a column name matches one of the built-in field aliases
+const isKnownColumn = (column) => ALIAS_LOOKUP.has(normalizeHeader(column));
+
+// Per-column value transforms, applied in the order listed in the profile
+const TRANSFORMS = {
+  trim: (value) => (typeof value === 'string' ? value.trim() : value),
+  lowercase: (value) => (typeof value === 'string' ? value.toLowerCase() : value),
+  uppercase: (value) => (typeof value === 'string' ? value.toUpperCase() : value),
+  number: (value) => {
+    const number = Number(value);
+    if (value === '' || isNaN(number)) {
+      throw new Error(`"${value}" is not a number`);
+    }
+    return number;
+  },
+  integer: (value) => {
+    const number = Number(value);
+    if (value === '' || !Number.isInteger(number)) {
+      throw new Error(`"${value}" is not an integer`);
+    }
+    return number;
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') return value;
+    if (/^(true|yes|y|1)$/i.test(String(value).trim())) return true;
+    if (/^(false|no|n|0)$/i.test(String(value).trim())) return false;
+    throw new Error(`"${value}" is not a boolean`);
+  },
+  json: (value) => (typeof value === 'string' ? JSON.parse(value) : value)
+};
+
+// Built-in mapping used for alias-matched and unmapped columns
+const DEFAULT_SPEC = { transforms: ['trim'] };
+
+// NULL markers and empty strings count as missing values
+function isMissing(value) {
+  if (value === null || value === undefined) {
+    return true;
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    return trimmed === '' || trimmed.toUpperCase() === 'NULL';
+  }
+  return false;
+}
+
+// Convert a date value to ISO 8601, using a strict moment format when one is given
+function toIsoDate(value, column, dateFormat) {
+  if (dateFormat) {
+    const parsed = moment.utc(String(value).trim(), dateFormat, true);
+    if (!parsed.isValid()) {
+      throw new RowError('INVALID_DATE', `Invalid date in column "${column}": expected format ${dateFormat}`, { column, value });
+    }
+    return parsed.toISOString();
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new RowError('INVALID_DATE', `Invalid date format`, { column, value });
+  }
+  return date.toISOString();
+}
+
+// Set a value at a dotted path inside an object
+function setPath(target, keys, value) {
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    if (!node[key] || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+// Normalise the string shorthand ("title": "eventName") to a full column spec
+function toColumnSpec(spec) {
+  return typeof spec === 'string' ? { field: spec } : spec;
+}
+
+// Build a function that maps one parsed record to { eventData, sources } for the
+// given profile. sources records which source column each Event field came from.
+const createRecordMapper = (profile = {}) => {
+  const columnSpecs = new Map(Object.entries(profile.columns || {})
+    .map(([column, spec]) => [column, toColumnSpec(spec)]));
+  const keepUnmapped = (profile.unmappedColumns || 'metadata') === 'metadata';
+
+  return (record) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new RowError('INVALID_RECORD', 'Record is not an object', { value: record });
+    }
+
+    const eventData = {};
+    const metadata = {};
+    const sources = {};
+
+    Object.entries(record).forEach(([column, raw]) => {
+      const aliasField = ALIAS_LOOKUP.get(normalizeHeader(column));
+      const spec = columnSpecs.get(column) || (aliasField && { ...DEFAULT_SPEC, field: aliasField });
+
+      if (!spec) {
+        if (keepUnmapped && !isMissing(raw)) {
+          metadata[column] = TRANSFORMS.trim(raw);
+        }
+        return;
+      }
+
+      let value;
+      if (isMissing(raw)) {
+        value = spec.default !== undefined ? spec.default : null;
+      } else {
+        value = (spec.transforms || []).reduce((current, name) => {
+          try {
+            return TRANSFORMS[name](current);
+          } catch (error) {
+            throw new RowError('TRANSFORM_FAILED', `Column "${column}" (${name}): ${error.message}`, { column, value: raw });
+          }
+        }, raw);
+      }
+
+      if (value !== null && DATE_FIELDS.includes(spec.field)) {
+        value = toIsoDate(value, column, spec.dateFormat);
+      }
+
+      if (spec.field.startsWith('metadata.')) {
+        if (value !== null) {
+          setPath(metadata, spec.field.split('.').slice(1), value);
+        }
+      } else if (spec.field === 'metadata') {
+        if (value !== null) {
+          try {
+            Object.assign(metadata, typeof value === 'string' ? JSON.parse(value) : value);
+          } catch (error) {
+            throw new RowError('INVALID_JSON', `Column "${column}": ${error.message}`, { column, value: raw });
+          }
+        }
+      } else if (eventData[spec.field] === undefined || eventData[spec.field] === null) {
+        eventData[spec.field] = value;
+        sources[spec.field] = column;
+      }
+    });
+
+    if (Object.keys(metadata).length > 0) {
+      eventData.metadata = metadata;
+    }
+
+    // Drop fields the source did not provide so schema defaults apply
+    Object.keys(eventData).forEach(field => {
+      if (eventData[field] === null && field !== 'parentId') {
+        delete eventData[field];
+      }
+    });
+
+    return { eventData, sources };
+  };
+};
+
+// Default mapping: built-in aliases, unknown columns kept in metadata
+const defaultMapper = createRecordMapper();
+const toEventData = (record) => defaultMapper(record).eventData;
+
+module.exports = {
+  createRecordMapper,
+  toEventData,
+  isKnownColumn,
+  normalizeHeader,
+  EVENT_FIELDS,
+  FIELD_ALIASES,
+  TARGET_PATTERN,
+  TRANSFORMS
+};
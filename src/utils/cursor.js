@@ -0,0 +1,77 @@
+const { BadRequestError } = require('./errors');
+
+// Opaque keyset pagination cursors. A cursor records the sort it was issued
+// for, the sort key of the row it points at, and whether it pages forward
+// ('after' that row) or backward ('before' it). Tokens are base64url JSON.
+
+// Encode a cursor for the given sort, key values and direction
+const encodeCursor = (sort, key, direction = 'after') => {
+  const payload = JSON.stringify({ sort, key, direction });
+  return Buffer.from(payload, 'utf8').toString('base64url');
+};
+
+// Decode a cursor token, checking it was issued for the same sort
+const decodeCursor = (token, sort) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new BadRequestError('Invalid cursor');
+  }
+
+  if (!cursor || !Array.isArray(cursor.key) || !['after', 'before'].includes(cursor.direction)) {
+    throw new BadRequestError('Invalid cursor');
+  }
+  if (cursor.sort !== sort) {
+    throw new BadRequestError('Cursor was issued for a different sort order');
+  }
+  return cursor;
+};
+
+// Build next/prev cursors for a fetched page. `rows` holds up to limit + 1
+// rows read in the requested direction; the extra row only signals that more
+// rows exist. skipped is true when an offset skipped earlier rows.
+// Returns the page in display order with its cursors.
+const pageFromRows = (rows, { limit, cursor, sort, keyOf, skipped = false }) => {
+  const backward = cursor && cursor.direction === 'before';
+  const hasMore = limit !== undefined && rows.length > limit;
+  let page = hasMore ? rows.slice(0, limit) : rows;
+  if (backward) {
+    page = [...page].reverse();
+  }
+
+  const first = page[0];
+  const last = page[page.length - 1];
+  const hasNext = backward ? Boolean(cursor) : hasMore;
+  const hasPrev = backward ? hasMore : Boolean(cursor) || skipped;
+
+  return {
+    page,
+    nextCursor: hasNext && last ? encodeCursor(sort, keyOf(last), 'after') : null,
+    prevCursor: hasPrev && first ? encodeCursor(sort, keyOf(first), 'before') : null
+  };
+};
+
+// Keyset-paginate an already sorted in-memory list. compare(keyA, keyB) must
+// order keys the same way the list is sorted.
+const paginateList = (items, { limit, cursor, sort, keyOf, compare }) => {
+  let rows;
+  if (!cursor) {
+    rows = items.slice(0, limit === undefined ? items.length : limit + 1);
+  } else if (cursor.direction === 'after') {
+    const start = items.findIndex(item => compare(keyOf(item), cursor.key) > 0);
+    rows = start === -1 ? [] : items.slice(start, limit === undefined ? items.length : start + limit + 1);
+  } else {
+    const before = items.filter(item => compare(keyOf(item), cursor.key) < 0).reverse();
+    rows = limit === undefined ? before : before.slice(0, limit + 1);
+  }
+
+  return pageFromRows(rows, { limit, cursor, sort, keyOf });
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  pageFromRows,
+  paginateList
+};
@@ -0,0 +1,81 @@
+// Error types shared across the API. HTTP errors are picked up by the
+// errorHandler middleware via statusCode.
+
+class HttpError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message = 'Bad request', details) {
+    super(400, message, details);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Resource not found', details) {
+    super(404, message, details);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message = 'Resource already exists', details) {
+    super(409, message, details);
+  }
+}
+
+class UnprocessableEntityError extends HttpError {
+  constructor(message = 'Validation error', details) {
+    super(422, message, details);
+  }
+}
+
+// A single ingestion row that could not be parsed, mapped or validated.
+// code is a stable machine-readable reason (e.g. INVALID_DATE, DUPLICATE_ID).
+class RowError extends Error {
+  constructor(code, message, { column = null, value = null, severity = 'error' } = {}) {
+    super(message);
+    this.name = 'RowError';
+    this.code = code;
+    this.column = column;
+    this.value = value;
+    this.severity = severity;
+  }
+}
+
+// Map PostgreSQL error codes onto HTTP errors so constraint violations surface cleanly.
+// conflictMessage replaces the driver's text for unique violations.
+const fromDatabaseError = (error, conflictMessage) => {
+  if (error instanceof HttpError) {
+    return error;
+  }
+
+  switch (error.code) {
+    case '23505': // unique_violation
+      return new ConflictError(conflictMessage || error.detail || 'Duplicate entry');
+    case '23503': // foreign_key_violation
+    case '23514': // check_violation
+    case '22P02': // invalid_text_representation
+    case '22007': // invalid_datetime_format
+    case '22008': // datetime_field_overflow
+      return new UnprocessableEntityError(error.detail || error.message);
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableEntityError,
+  RowError,
+  fromDatabaseError
+};
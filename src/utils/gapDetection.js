@@ -0,0 +1,78 @@
+const moment = require('moment');
+
+// Gap detection over event intervals. Events may overlap or nest: a gap is a
+// stretch of time no event covers, e.g.
+//
+//   A  |----------------------|
+//   B      |---|                        A covers B and C, so the only
+//   C             |----|                gap runs from the end of A to D
+//   D                               |------|
+//
+// and is reported with the event whose end opens it (A) and the event whose
+// start closes it (D).
+
+// Severity buckets, checked in order: a gap takes the label of the first bucket
+// whose maxMinutes it stays under. The last bucket is open ended (maxMinutes null).
+// Severity policies (see GapSeverityPolicy) supply their own buckets.
+const DEFAULT_SEVERITY_BUCKETS = [
+  { label: 'low', maxMinutes: 30 },
+  { label: 'medium', maxMinutes: 120 },
+  { label: 'high', maxMinutes: 480 },
+  { label: 'critical', maxMinutes: null }
+];
+
+// Severity label of a gap lasting the given minutes
+const gapSeverity = (minutes, buckets = DEFAULT_SEVERITY_BUCKETS) =>
+  buckets.find(({ maxMinutes }) => maxMinutes === null || minutes < maxMinutes).label;
+
+// Sweep the events by start date, keeping the event that covers furthest so far.
+// A gap opens whenever the next event starts after that coverage ends. events
+// need startDate and endDate (Date, moment or ISO string); gaps shorter than
+// minGapMinutes are left out. measure(start, end) replaces the elapsed minutes as
+// a gap's length (e.g. working minutes under a calendar); gaps it measures as
+// zero are dropped. Returns [{ start, end, minutes, elapsedMinutes, before, after }]
+// in time order, where before and after are the events as passed in.
+const findGaps = (events, { minGapMinutes = 0, measure } = {}) => {
+  const intervals = events
+    .map(event => ({ event, start: moment(event.startDate), end: moment(event.endDate) }))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const gaps = [];
+  let covering = null;
+  for (const interval of intervals) {
+    if (covering && interval.start.isAfter(covering.end)) {
+      const start = covering.end.toDate();
+      const end = interval.start.toDate();
+      const elapsedMinutes = interval.start.diff(covering.end, 'minutes');
+      const minutes = measure ? measure(start, end) : elapsedMinutes;
+      if (minutes >= minGapMinutes && (!measure || minutes > 0)) {
+        gaps.push({
+          start,
+          end,
+          minutes,
+          elapsedMinutes,
+          before: covering.event,
+          after: interval.event
+        });
+      }
+    }
+    if (!covering || interval.end.isAfter(covering.end)) {
+      covering = interval;
+    }
+  }
+  return gaps;
+};
+
+// Count gap lengths (in minutes) per severity label
+const severityBreakdown = (minutesList, buckets = DEFAULT_SEVERITY_BUCKETS) => {
+  const counts = Object.fromEntries(buckets.map(({ label }) => [label, 0]));
+  minutesList.forEach(minutes => counts[gapSeverity(minutes, buckets)]++);
+  return counts;
+};
+
+module.exports = {
+  DEFAULT_SEVERITY_BUCKETS,
+  gapSeverity,
+  findGaps,
+  severityBreakdown
+};
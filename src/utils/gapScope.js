@@ -0,0 +1,111 @@
+const Joi = require('joi');
+const { metadataFilterSchema, buildMetadataConditions } = require('./metadataFilter');
+const { tagListSchema, tagMatchSchema, buildTagCondition } = require('./tagFilter');
+
+// Scopes for gap analysis, as parsed from query strings such as
+//
+//   rootEventId=<uuid>                     the event and its descendants
+//   eventIds=<uuid>,<uuid>                 exactly these events
+//   tags=release&metadata[team]=core       tag and metadata filters
+//   partitionBy=tag                        one report per tag
+//   partitionBy=root                       one report per hierarchy (root event)
+//   partitionBy=metadata.team              one report per value of metadata.team
+//
+// Scope filters combine with AND. Partitioning measures gaps within each group
+// separately; an event with several tags belongs to each of their groups, and
+// events without a tag, root or metadata value form the null group.
+
+const PARTITION_PATTERN = /^(tag|root|metadata\.[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*)$/;
+
+// Joi keys for the scope query parameters, to spread into endpoint schemas
+const gapScopeKeys = {
+  metadata: metadataFilterSchema,
+  tags: tagListSchema,
+  tagMatch: tagMatchSchema,
+  rootEventId: Joi.string().uuid().optional(),
+  eventIds: Joi.string()
+    .custom((value, helpers) => {
+      const ids = [...new Set(value.split(',').map(id => id.trim()).filter(Boolean))];
+      const invalid = ids.find(id => Joi.string().uuid().validate(id).error);
+      return invalid ? helpers.message(`{{#label}} contains an invalid UUID: ${invalid}`) : ids;
+    })
+    .optional(),
+  partitionBy: Joi.string().pattern(PARTITION_PATTERN).optional()
+    .messages({ 'string.pattern.base': '{{#label}} must be tag, root or metadata.<key>' })
+};
+
+// SQL conditions restricting HistoricalEvents rows to a scope. param(value)
+// must bind a value and return its placeholder.
+const buildScopeConditions = ({ metadata = {}, tags = [], tagMatch = 'all', rootEventId, eventIds } = {}, param) => {
+  const conditions = buildMetadataConditions(metadata, param);
+
+  const tagCondition = buildTagCondition(tags, tagMatch, param);
+  if (tagCondition) {
+    conditions.push(tagCondition);
+  }
+
+  if (rootEventId) {
+    conditions.push(`event_id IN (
+          WITH RECURSIVE subtree AS (
+            SELECT root.event_id, ARRAY[root.event_id] AS path FROM HistoricalEvents root
+            WHERE root.event_id = ${param(rootEventId)} AND root.deleted_at IS NULL
+            UNION ALL
+            SELECT child.event_id, subtree.path || child.event_id FROM HistoricalEvents child
+            JOIN subtree ON child.parent_event_id = subtree.event_id
+            WHERE child.deleted_at IS NULL
+              AND NOT (child.event_id = ANY(subtree.path))
+          )
+          SELECT event_id FROM subtree)`);
+  }
+
+  if (eventIds && eventIds.length > 0) {
+    conditions.push(`event_id = ANY(${param(eventIds)}::uuid[])`);
+  }
+
+  return conditions;
+};
+
+// Query pieces giving each HistoricalEvents row its partition keys (a text[]
+// column) for partitionBy: { with, join, column }
+const buildPartitionKeys = (partitionBy, param) => {
+  if (partitionBy === 'tag') {
+    return {
+      with: '',
+      join: '',
+      column: `ARRAY(
+          SELECT t.name FROM event_tags et JOIN tags t ON t.tag_id = et.tag_id
+          WHERE et.event_id = HistoricalEvents.event_id
+          ORDER BY t.name)`
+    };
+  }
+
+  if (partitionBy === 'root') {
+    return {
+      with: `WITH RECURSIVE roots AS (
+          SELECT event_id, event_id AS root_id, ARRAY[event_id] AS path FROM HistoricalEvents
+          WHERE parent_event_id IS NULL AND deleted_at IS NULL
+          UNION ALL
+          SELECT e.event_id, roots.root_id, roots.path || e.event_id FROM HistoricalEvents e
+          JOIN roots ON e.parent_event_id = roots.event_id
+          WHERE e.deleted_at IS NULL
+            AND NOT (e.event_id = ANY(roots.path))
+        )`,
+      join: 'LEFT JOIN roots USING (event_id)',
+      column: 'ARRAY[roots.root_id::text]'
+    };
+  }
+
+  const path = partitionBy.slice('metadata.'.length).split('.');
+  return {
+    with: '',
+    join: '',
+    column: `ARRAY[metadata #>> ${param(path)}::text[]]`
+  };
+};
+
+module.exports = {
+  PARTITION_PATTERN,
+  gapScopeKeys,
+  buildScopeConditions,
+  buildPartitionKeys
+};
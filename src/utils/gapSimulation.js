@@ -0,0 +1,73 @@
+const { v4: uuidv4 } = require('uuid');
+const { Event } = require('../models/Event');
+const { UnprocessableEntityError } = require('./errors');
+
+// Copies of events with proposed moves, inserts and deletions applied. Moved
+// and deleted events must be among events, and inserts may not reuse their IDs.
+function applyChanges(events, { moves, inserts, deletions }) {
+  const byId = new Map(events.map(event => [event.eventId, event]));
+  const unknown = [...new Set([...moves.map(move => move.eventId), ...deletions])].filter(id => !byId.has(id));
+  if (unknown.length > 0) {
+    throw new UnprocessableEntityError(`Events outside the simulation scope: ${unknown.join(', ')}`);
+  }
+
+  const deleted = new Set(deletions);
+  const proposed = new Map(events.filter(event => !deleted.has(event.eventId)).map(event => [event.eventId, event]));
+
+  for (const { eventId, startDate, endDate } of moves) {
+    if (deleted.has(eventId)) {
+      throw new UnprocessableEntityError(`Event ${eventId} cannot be both moved and deleted`);
+    }
+    const moved = new Event({
+      ...byId.get(eventId).toObject(),
+      ...(startDate && { startDate }),
+      ...(endDate && { endDate })
+    });
+    if (!moved.endDate.isAfter(moved.startDate)) {
+      throw new UnprocessableEntityError(`Moved event ${eventId} must end after it starts`);
+    }
+    proposed.set(eventId, moved);
+  }
+
+  for (const insert of inserts) {
+    const eventId = insert.eventId || uuidv4();
+    if (byId.has(eventId) || proposed.has(eventId)) {
+      throw new UnprocessableEntityError(`Inserted event ${eventId} already exists`);
+    }
+    proposed.set(eventId, new Event({ ...insert, eventId }));
+  }
+
+  return [...proposed.values()];
+}
+
+// Compare gap lists by the time they span. Gaps overlapping no gap on the other
+// side were created or eliminated; overlapping gaps with different bounds were
+// resized, so a split (or merged) gap appears once per piece.
+function diffGaps(before, after) {
+  const overlaps = (a, b) => a.gapStart < b.gapEnd && b.gapStart < a.gapEnd;
+  const sameSpan = (a, b) => a.gapStart.getTime() === b.gapStart.getTime() && a.gapEnd.getTime() === b.gapEnd.getTime();
+
+  const resized = [];
+  let unchanged = 0;
+  for (const original of before) {
+    for (const gap of after.filter(candidate => overlaps(original, candidate))) {
+      if (sameSpan(original, gap)) {
+        unchanged++;
+      } else {
+        resized.push({ before: original, after: gap, changeMinutes: gap.gapMinutes - original.gapMinutes });
+      }
+    }
+  }
+
+  return {
+    created: after.filter(gap => !before.some(original => overlaps(original, gap))),
+    eliminated: before.filter(original => !after.some(gap => overlaps(original, gap))),
+    resized,
+    unchanged
+  };
+}
+
+module.exports = {
+  applyChanges,
+  diffGaps
+};
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { isKnownColumn } = require('./columnMapping');
+const { RowError } = require('./errors');
+
+// Registry of ingestion formats. Each format's parse(source, options) turns a
+// utf8 text stream into an async iterable of { lineNumber, record } (or
+// { lineNumber, error } for rows it cannot parse) where record is a plain object
+// keyed by column name. Blank rows are skipped.
+//
+// Delimited formats accept options:
+//   hasHeader      - true/false, or undefined to detect the header row
+//   knownColumns   - extra column names that identify a header row
+//   columnOrder    - column names to use when there is no header row
+const formats = new Map();
+
+// Column order assumed for delimited files without a header row
+const POSITIONAL_COLUMNS = ['eventId', 'eventName', 'startDate', 'endDate', 'parentId', 'description'];
+
+// Register a format under a name and the file extensions it claims
+const registerFormat = (name, { extensions = [], parse }) => {
+  formats.set(name, { name, extensions, parse });
+};
+
+// Get a registered format by name
+const getFormat = (name) => {
+  const format = formats.get(name);
+  if (!format) {
+    throw new Error(`Unknown ingestion format: ${name}`);
+  }
+  return format;
+};
+
+const getFormatNames = () => Array.from(formats.keys());
+
+// Split a text stream into lines without buffering the whole file
+async function* readLines(source) {
+  let remainder = '';
+  let lineNumber = 0;
+
+  for await (const chunk of source) {
+    const lines = (remainder + chunk).split(/\r?\n/);
+    remainder = lines.pop();
+    for (const text of lines) {
+      yield { lineNumber: ++lineNumber, text };
+    }
+  }
+
+  if (remainder) {
+    yield { lineNumber: ++lineNumber, text: remainder };
+  }
+}
+
+// A first row is a header when at least two of its cells name known columns
+function isHeaderRow(cells, knownColumns) {
+  return cells.filter(cell => isKnownColumn(cell) || knownColumns.has(cell.trim())).length >= 2;
+}
+
+// Delimited text (CSV, TSV, pipe) with an optional header row
+const delimitedParser = (separator) => async function* parseDelimited(source, options = {}) {
+  const { hasHeader, knownColumns = new Set(), columnOrder = POSITIONAL_COLUMNS } = options;
+  let headers = null;
+  let lineNumber = 0;
+
+  const rows = source.pipe(csv({ separator, headers: false }));
+  source.on('error', error => rows.destroy(error));
+
+  for await (const row of rows) {
+    lineNumber++;
+    const cells = Object.values(row);
+    if (cells.every(cell => !cell.trim())) continue;
+
+    if (!headers) {
+      if (hasHeader === true || (hasHeader === undefined && isHeaderRow(cells, knownColumns))) {
+        headers = cells.map(cell => cell.trim());
+        continue;
+      }
+      headers = columnOrder;
+    }
+
+    if (headers === columnOrder && cells.length < columnOrder.length) {
+      yield {
+        lineNumber,
+        error: new RowError('MISSING_FIELDS', `Missing fields. Expected ${columnOrder.length} fields, got ${cells.length}`, {
+          value: cells.join(separator)
+        })
+      };
+      continue;
+    }
+
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = cells[index];
+    });
+    yield { lineNumber, record };
+  }
+};
+
+// Newline-delimited JSON, one object per line
+async function* parseNdjson(source) {
+  for await (const { lineNumber, text } of readLines(source)) {
+    if (!text.trim()) continue;
+    try {
+      yield { lineNumber, record: JSON.parse(text) };
+    } catch (error) {
+      yield { lineNumber, error: new RowError('INVALID_JSON', `Invalid JSON: ${error.message}`, { value: text }) };
+    }
+  }
+}
+
+// A top-level JSON array, streamed element by element. Each element is
+// buffered on its own and reported with the line it starts on.
+async function* parseJsonArray(source) {
+  let line = 1;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let started = false;
+  let element = '';
+  let elementLine = 1;
+
+  const emit = function* () {
+    const text = element.trim();
+    element = '';
+    if (!text) return;
+    try {
+      yield { lineNumber: elementLine, record: JSON.parse(text) };
+    } catch (error) {
+      yield { lineNumber: elementLine, error: new RowError('INVALID_JSON', `Invalid JSON: ${error.message}`, { value: text }) };
+    }
+  };
+
+  for await (const chunk of source) {
+    for (const char of chunk) {
+      if (char === '\n') line++;
+
+      if (!started) {
+        if (char === '[') {
+          started = true;
+        } else if (char.trim()) {
+          throw new Error('Expected a JSON array');
+        }
+        continue;
+      }
+
+      if (inString) {
+        element += char;
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (depth === 0 && (char === ',' || char === ']')) {
+        yield* emit();
+        if (char === ']') return;
+        continue;
+      }
+
+      if (!element.trim() && char.trim()) {
+        elementLine = line;
+      }
+      if (char === '"') inString = true;
+      if (char === '{' || char === '[') depth++;
+      if (char === '}' || char === ']') depth--;
+      element += char;
+    }
+  }
+
+  throw new Error('Unexpected end of JSON array');
+}
+
+registerFormat('pipe', { extensions: ['.txt', '.psv', '.pipe'], parse: delimitedParser('|') });
+registerFormat('csv', { extensions: ['.csv'], parse: delimitedParser(',') });
+registerFormat('tsv', { extensions: ['.tsv', '.tab'], parse: delimitedParser('\t') });
+registerFormat('json', { extensions: ['.json'], parse: parseJsonArray });
+registerFormat('ndjson', { extensions: ['.ndjson', '.jsonl'], parse: parseNdjson });
+
+const DELIMITERS = { pipe: '|', csv: ',', tsv: '\t' };
+
+// Pick the delimited format whose separator appears most in the first line.
+// Vendors regularly ship pipe-separated data in files named .csv.
+async function sniffDelimitedFormat(filePath, fallback) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    const firstLine = buffer.toString('utf8', 0, bytesRead).split(/\r?\n/)[0];
+
+    let best = fallback;
+    let bestCount = firstLine.split(DELIMITERS[fallback]).length - 1;
+    for (const [name, delimiter] of Object.entries(DELIMITERS)) {
+      const count = firstLine.split(delimiter).length - 1;
+      if (count > bestCount) {
+        best = name;
+        bestCount = count;
+      }
+    }
+    return best;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Choose a format from an explicit name, else from the file extension.
+// fileName is the name to take the extension from (e.g. an upload's original name).
+const resolveFormat = async ({ format, filePath, fileName = filePath }) => {
+  if (format) {
+    return getFormat(format);
+  }
+
+  const extension = path.extname(fileName || '').toLowerCase();
+  const byExtension = Array.from(formats.values()).find(f => f.extensions.includes(extension));
+  const name = byExtension ? byExtension.name : 'pipe';
+
+  if (DELIMITERS[name]) {
+    return getFormat(await sniffDelimitedFormat(filePath, name));
+  }
+  return getFormat(name);
+};
+
+module.exports = {
+  registerFormat,
+  getFormat,
+  getFormatNames,
+  resolveFormat,
+  readLines
+};
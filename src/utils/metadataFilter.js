@@ -0,0 +1,97 @@
+const Joi = require('joi');
+
+// Metadata filters, as parsed from query strings such as
+//
+//   metadata[source]=NASA                  equality (also matches 7 for "7", true for "true")
+//   metadata[source.name]=NASA             nested path
+//   metadata[researchValue][gte]=7         numeric comparison: gt, gte, lt, lte
+//   metadata[status][ne]=draft             inequality
+//   metadata[tags][contains]=moon          array contains the value
+//   metadata[reviewedBy][exists]=false     key present / absent
+//
+// are translated into JSONB operators on the metadata column. Equality and
+// contains use @> so they can be served by the GIN index on metadata.
+
+const PATH_PATTERN = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
+const NUMERIC_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Joi schema for the metadata query parameter
+const metadataFilterSchema = Joi.object().pattern(PATH_PATTERN, Joi.alternatives().try(
+  Joi.string().allow(''),
+  Joi.object({
+    eq: Joi.string().allow(''),
+    ne: Joi.string().allow(''),
+    gt: Joi.number(),
+    gte: Joi.number(),
+    lt: Joi.number(),
+    lte: Joi.number(),
+    contains: Joi.string().allow(''),
+    exists: Joi.boolean()
+  }).min(1)
+)).default({});
+
+// Typed forms a query-string value may have been stored as
+function typedCandidates(value) {
+  const candidates = [value];
+  if (value.trim() !== '' && !isNaN(Number(value))) {
+    candidates.push(Number(value));
+  }
+  if (value === 'true' || value === 'false') {
+    candidates.push(value === 'true');
+  }
+  return candidates;
+}
+
+// Wrap a value in objects along a path: ['source', 'name'] -> { source: { name: value } }
+function nest(path, value) {
+  return path.reduceRight((inner, key) => ({ [key]: inner }), value);
+}
+
+// Containment test for any typed form of value at path
+function containsAny(column, path, value, param, wrap = (candidate) => candidate) {
+  const alternatives = typedCandidates(value)
+    .map(candidate => `${column} @> ${param(JSON.stringify(nest(path, wrap(candidate))))}::jsonb`);
+  return `(${alternatives.join(' OR ')})`;
+}
+
+// SQL conditions for a parsed metadata filter object. param(value) must bind
+// a value and return its placeholder.
+const buildMetadataConditions = (filters = {}, param, column = 'metadata') => {
+  const conditions = [];
+
+  Object.entries(filters).forEach(([key, filter]) => {
+    const path = key.split('.');
+    const operators = typeof filter === 'object' && filter !== null ? filter : { eq: filter };
+
+    Object.entries(operators).forEach(([operator, operand]) => {
+      switch (operator) {
+        case 'eq':
+          conditions.push(containsAny(column, path, String(operand), param));
+          break;
+        case 'ne':
+          conditions.push(`NOT ${containsAny(column, path, String(operand), param)}`);
+          break;
+        case 'contains':
+          conditions.push(containsAny(column, path, String(operand), param, candidate => [candidate]));
+          break;
+        case 'exists':
+          conditions.push(`(${column} #> ${param(path)}::text[]) IS ${operand ? 'NOT NULL' : 'NULL'}`);
+          break;
+        default: {
+          // Numbers may be stored as JSON numbers or numeric strings (e.g. from CSV ingestion)
+          const text = `(${column} #>> ${param(path)}::text[])`;
+          conditions.push(
+            `(CASE WHEN ${text} ~ '^-?[0-9]+(\\.[0-9]+)?$' THEN ${text}::numeric END) ${NUMERIC_OPERATORS[operator]} ${param(operand)}::numeric`
+          );
+        }
+      }
+    });
+  });
+
+  return conditions;
+};
+
+module.exports = {
+  metadataFilterSchema,
+  buildMetadataConditions
+};
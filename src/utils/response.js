@@ -0,0 +1,12 @@
+// Shared success envelope for API namespaces: { data, meta?, timestamp }
+const sendData = (res, data, { statusCode = 200, meta } = {}) => {
+  res.status(statusCode).json({
+    data,
+    ...(meta !== undefined && { meta }),
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  sendData
+};
@@ -0,0 +1,45 @@
+const Joi = require('joi');
+
+// Tag filters, as parsed from query strings such as
+//
+//   tags=meeting,upgrade                   events carrying every listed tag
+//   tags=meeting,upgrade&tagMatch=any      events carrying at least one of them
+//
+// Tags are matched by name, case-insensitively, through the event_tags links.
+
+const TAG_MATCH_MODES = ['all', 'any'];
+
+// Joi schema for the comma separated tags query parameter
+const tagListSchema = Joi.string()
+  .custom((value) => [...new Set(value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))])
+  .optional();
+
+// Joi schema for the tagMatch query parameter
+const tagMatchSchema = Joi.string().valid(...TAG_MATCH_MODES).default('all');
+
+// SQL condition restricting event_id to events with the given tags, or null
+// when there are none. param(value) must bind a value and return its placeholder.
+const buildTagCondition = (tags = [], match = 'all', param, column = 'event_id') => {
+  if (!tags || tags.length === 0) {
+    return null;
+  }
+
+  const names = param(tags.map(tag => tag.toLowerCase()));
+  if (match === 'any') {
+    return `${column} IN (
+          SELECT et.event_id FROM event_tags et JOIN tags t ON t.tag_id = et.tag_id
+          WHERE LOWER(t.name) = ANY(${names}::text[]))`;
+  }
+  return `${column} IN (
+          SELECT et.event_id FROM event_tags et JOIN tags t ON t.tag_id = et.tag_id
+          WHERE LOWER(t.name) = ANY(${names}::text[])
+          GROUP BY et.event_id
+          HAVING COUNT(DISTINCT t.tag_id) = ${param(new Set(tags.map(tag => tag.toLowerCase())).size)})`;
+};
+
+module.exports = {
+  TAG_MATCH_MODES,
+  tagListSchema,
+  tagMatchSchema,
+  buildTagCondition
+};
@@ -0,0 +1,79 @@
+// Translate the search endpoint's `q` syntax into a PostgreSQL tsquery
+// expression built from bound parameters, so user text never reaches the SQL.
+//
+//   word        matches the word (stemmed)
+//   "a phrase"  matches the words next to each other, in order
+//   word*       matches words starting with the prefix
+//   -word       excludes events matching the word, phrase or prefix
+//   a OR b      matches either side (terms are otherwise ANDed)
+
+const SEARCH_CONFIG = 'english';
+
+// Phrases, optionally negated, or runs of non-space characters
+const TOKEN_PATTERN = /(-?)"([^"]*)"|(\S+)/g;
+
+// Keep letters, digits and underscores; anything else would be tsquery syntax
+const sanitizeWord = (word) => word.replace(/[^\p{L}\p{N}_]/gu, '');
+
+// Split q into terms: { kind: 'word' | 'phrase' | 'prefix', text, negated } and 'OR'
+function tokenize(q) {
+  const terms = [];
+  for (const [, phraseNegation, phrase, bare] of q.matchAll(TOKEN_PATTERN)) {
+    if (phrase !== undefined) {
+      if (phrase.trim()) {
+        terms.push({ kind: 'phrase', text: phrase.trim(), negated: phraseNegation === '-' });
+      }
+      continue;
+    }
+
+    if (bare === 'OR') {
+      terms.push('OR');
+      continue;
+    }
+
+    const negated = bare.startsWith('-');
+    const prefix = bare.endsWith('*');
+    const text = sanitizeWord(bare);
+    if (text) {
+      terms.push({ kind: prefix ? 'prefix' : 'word', text, negated });
+    }
+  }
+  return terms;
+}
+
+// SQL for a single term, registering its text through param()
+function termSql(term, param) {
+  switch (term.kind) {
+    case 'phrase':
+      return `phraseto_tsquery('${SEARCH_CONFIG}', ${param(term.text)})`;
+    case 'prefix':
+      return `to_tsquery('${SEARCH_CONFIG}', ${param(`${term.text}:*`)})`;
+    default:
+      return `plainto_tsquery('${SEARCH_CONFIG}', ${param(term.text)})`;
+  }
+}
+
+// Build a tsquery SQL expression for q, or null when q has no searchable terms.
+// param(value) must bind a value and return its placeholder (e.g. $3).
+const buildTsQuery = (q, param) => {
+  let sql = null;
+  let joiner = '&&';
+
+  tokenize(q).forEach(term => {
+    if (term === 'OR') {
+      joiner = '||';
+      return;
+    }
+
+    const expression = term.negated ? `(!! ${termSql(term, param)})` : termSql(term, param);
+    sql = sql ? `(${sql} ${joiner} ${expression})` : expression;
+    joiner = '&&';
+  });
+
+  return sql;
+};
+
+module.exports = {
+  SEARCH_CONFIG,
+  buildTsQuery
+};
@@ -0,0 +1,161 @@
+// Working time arithmetic for calendars: working periods per weekday in local
+// time (e.g. monday: [{ start: '09:00', end: '17:00' }]), holiday dates
+// (YYYY-MM-DD) and an IANA time zone. Days without periods are non-working.
+// Time zones go through Intl, so DST changes shift periods the way local clocks do.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Intl formatters are costly to build, so keep one per time zone
+const formatters = new Map();
+
+// Formatter giving the wall-clock parts of an instant in a time zone
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Whether timeZone is an IANA zone name Intl knows
+const isValidTimeZone = (timeZone) => {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock time of an instant (ms) in a time zone, itself expressed as UTC ms
+function wallClock(instant, timeZone) {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone).formatToParts(new Date(instant)).map(({ type, value }) => [type, Number(value)])
+  );
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+// Instant (ms) at which local wall-clock time (as UTC ms) occurs in a time zone.
+// The offset is checked again at the result so periods next to DST changes land right.
+function toInstant(wallTime, timeZone) {
+  const guess = wallTime - (wallClock(wallTime, timeZone) - wallTime);
+  return wallTime - (wallClock(guess, timeZone) - guess);
+}
+
+// Minutes since midnight for 'HH:mm' (24:00 ends the day)
+function minutesOf(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// A weekday's periods in start order
+function sortedPeriods(calendar, weekday) {
+  return [...(calendar.workingHours[WEEKDAYS[weekday]] || [])]
+    .sort((a, b) => minutesOf(a.start) - minutesOf(b.start));
+}
+
+// Working ms of one local day (as UTC ms of its midnight) that fall within
+// [from, to]. Periods run in start order, each counted only from where the
+// last one ended, so overlapping periods never count the same time twice.
+function workingMsOfDay(calendar, holidays, day, from, to) {
+  if (holidays.has(new Date(day).toISOString().slice(0, 10))) {
+    return 0;
+  }
+
+  let workingMs = 0;
+  let countedUntil = from;
+  for (const period of sortedPeriods(calendar, new Date(day).getUTCDay())) {
+    const periodStart = toInstant(day + minutesOf(period.start) * 60000, calendar.timeZone);
+    const periodEnd = toInstant(day + minutesOf(period.end) * 60000, calendar.timeZone);
+    const countFrom = Math.max(countedUntil, periodStart);
+    const countTo = Math.min(to, periodEnd);
+    if (countTo > countFrom) {
+      workingMs += countTo - countFrom;
+      countedUntil = countTo;
+    }
+  }
+  return workingMs;
+}
+
+// Working ms of each weekday by the clock, ignoring DST changes
+function nominalWeekdayMs(calendar) {
+  return WEEKDAYS.map((name, weekday) => {
+    let workingMinutes = 0;
+    let countedUntil = 0;
+    for (const period of sortedPeriods(calendar, weekday)) {
+      const countFrom = Math.max(countedUntil, minutesOf(period.start));
+      const countTo = minutesOf(period.end);
+      if (countTo > countFrom) {
+        workingMinutes += countTo - countFrom;
+        countedUntil = countTo;
+      }
+    }
+    return workingMinutes * 60000;
+  });
+}
+
+// Working minutes between two instants (Date, ISO string or ms) under a calendar
+// { timeZone, workingHours, holidays }. Whole weeks inside the range whose UTC
+// offset is the same at both ends count by the clock, less their holidays; the
+// partial weeks at the edges and weeks with a DST change go day by day.
+const workingMinutesBetween = (calendar, start, end) => {
+  const from = new Date(start).getTime();
+  const to = new Date(end).getTime();
+  if (!(to > from)) {
+    return 0;
+  }
+
+  const { timeZone } = calendar;
+  const holidays = new Set(calendar.holidays || []);
+  const holidayDays = [...holidays].map(date => Date.parse(`${date}T00:00:00Z`)).sort((a, b) => a - b);
+  const weekdayMs = nominalWeekdayMs(calendar);
+  const weekMs = weekdayMs.reduce((sum, ms) => sum + ms, 0);
+  // UTC offset at a local midnight; each week's end is the next week's start
+  const offsets = new Map();
+  const offsetAt = (day) => {
+    if (!offsets.has(day)) {
+      offsets.set(day, day - toInstant(day, timeZone));
+    }
+    return offsets.get(day);
+  };
+
+  const firstDay = Math.floor(wallClock(from, timeZone) / MS_PER_DAY) * MS_PER_DAY;
+  const lastDay = Math.floor(wallClock(to, timeZone) / MS_PER_DAY) * MS_PER_DAY;
+
+  let workingMs = 0;
+  let nextHoliday = 0;
+  for (let day = firstDay; day <= lastDay;) {
+    const weekEnd = day + 7 * MS_PER_DAY;
+    // Days after the first and before the last lie wholly inside the range
+    if (day > firstDay && weekEnd <= lastDay && offsetAt(day) === offsetAt(weekEnd)) {
+      workingMs += weekMs;
+      while (nextHoliday < holidayDays.length && holidayDays[nextHoliday] < weekEnd) {
+        if (holidayDays[nextHoliday] >= day) {
+          workingMs -= weekdayMs[new Date(holidayDays[nextHoliday]).getUTCDay()];
+        }
+        nextHoliday++;
+      }
+      day = weekEnd;
+    } else {
+      workingMs += workingMsOfDay(calendar, holidays, day, from, to);
+      day += MS_PER_DAY;
+    }
+  }
+  return Math.floor(workingMs / 60000);
+};
+
+module.exports = {
+  WEEKDAYS,
+  isValidTimeZone,
+  workingMinutesBetween
+};
@@ -0,0 +1,100 @@
+const { createRecordMapper, toEventData, isKnownColumn } = require('../src/utils/columnMapping');
+
+describe('default column mapping', () => {
+  test('matches fields by alias regardless of case and punctuation', () => {
+    expect(toEventData({
+      ID: ' 5b2e ',
+      'Event Name': 'Launch',
+      start_date: '2024-01-01T10:00:00Z',
+      END: '2024-01-01T11:00:00+01:00',
+      'parent-event-id': 'NULL'
+    })).toEqual({
+      eventId: '5b2e',
+      eventName: 'Launch',
+      startDate: '2024-01-01T10:00:00.000Z',
+      endDate: '2024-01-01T10:00:00.000Z',
+      parentId: null
+    });
+  });
+
+  test('keeps unknown columns in metadata and merges a metadata column', () => {
+    expect(toEventData({ name: 'A', source: ' NASA ', empty: '', metadata: '{"rank": 2}' }).metadata)
+      .toEqual({ source: 'NASA', rank: 2 });
+  });
+
+  test('drops missing fields so schema defaults apply', () => {
+    expect(toEventData({ name: 'A', description: '  ' })).toEqual({ eventName: 'A' });
+  });
+
+  test.each([
+    ['an unparseable date', { start: 'someday' }, 'INVALID_DATE'],
+    ['invalid metadata JSON', { metadata: '{nope' }, 'INVALID_JSON'],
+    ['a record that is not an object', ['a', 'b'], 'INVALID_RECORD']
+  ])('rejects %s', (description, record, code) => {
+    expect(() => toEventData(record)).toThrow(expect.objectContaining({ code }));
+  });
+
+  test('recognises known column names', () => {
+    expect(isKnownColumn('Parent Event ID')).toBe(true);
+    expect(isKnownColumn('source')).toBe(false);
+  });
+});
+
+describe('mapping profiles', () => {
+  const mapper = createRecordMapper({
+    columns: {
+      title: 'eventName',
+      begin: { field: 'startDate', dateFormat: 'DD/MM/YYYY HH:mm' },
+      finish: { field: 'endDate', dateFormat: 'DD/MM/YYYY HH:mm' },
+      score: { field: 'metadata.review.score', transforms: ['trim', 'number'] },
+      team: { field: 'metadata.team', transforms: ['trim', 'lowercase'], default: 'core' },
+      published: { field: 'metadata.published', transforms: ['boolean'] }
+    },
+    unmappedColumns: 'ignore'
+  });
+
+  test('maps columns to fields and nested metadata with transforms', () => {
+    const { eventData, sources } = mapper({
+      title: 'Launch',
+      begin: '31/01/2024 09:30',
+      finish: '31/01/2024 10:00',
+      score: ' 7.5 ',
+      team: ' Apollo ',
+      published: 'yes',
+      extra: 'dropped'
+    });
+
+    expect(eventData).toEqual({
+      eventName: 'Launch',
+      startDate: '2024-01-31T09:30:00.000Z',
+      endDate: '2024-01-31T10:00:00.000Z',
+      metadata: { review: { score: 7.5 }, team: 'apollo', published: true }
+    });
+    expect(sources).toEqual({ eventName: 'title', startDate: 'begin', endDate: 'finish' });
+  });
+
+  test('fills missing values with the column default', () => {
+    expect(mapper({ title: 'A', team: '' }).eventData.metadata).toEqual({ team: 'core' });
+  });
+
+  test('still matches alias columns the profile does not name', () => {
+    expect(mapper({ eventId: 'abc', title: 'A' }).eventData).toEqual({ eventId: 'abc', eventName: 'A' });
+  });
+
+  test('enforces the date format strictly', () => {
+    expect(() => mapper({ begin: '2024-01-31T09:30:00Z' })).toThrow(expect.objectContaining({
+      code: 'INVALID_DATE',
+      column: 'begin',
+      message: 'Invalid date in column "begin": expected format DD/MM/YYYY HH:mm'
+    }));
+  });
+
+  test('reports the failing transform with the raw value', () => {
+    expect(() => mapper({ score: 'high' })).toThrow(expect.objectContaining({
+      code: 'TRANSFORM_FAILED',
+      column: 'score',
+      value: 'high'
+    }));
+    expect(() => mapper({ published: 'maybe' })).toThrow(expect.objectContaining({ code: 'TRANSFORM_FAILED' }));
+  });
+});
@@ -0,0 +1,63 @@
+const { encodeCursor, decodeCursor, paginateList } = require('../src/utils/cursor');
+const { BadRequestError } = require('../src/utils/errors');
+
+const SORT = 'start_date:asc';
+
+describe('cursor tokens', () => {
+  test('decode what encode produced', () => {
+    const token = encodeCursor(SORT, ['2024-01-01T00:00:00.000Z', 'abc'], 'before');
+
+    expect(decodeCursor(token, SORT)).toEqual({
+      sort: SORT,
+      key: ['2024-01-01T00:00:00.000Z', 'abc'],
+      direction: 'before'
+    });
+  });
+
+  test('page forward by default', () => {
+    expect(decodeCursor(encodeCursor(SORT, [1]), SORT).direction).toBe('after');
+  });
+
+  test('are URL safe', () => {
+    expect(encodeCursor(SORT, ['??>>~~', 'ÿÿÿ'])).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  test('reject a cursor issued for another sort', () => {
+    const token = encodeCursor(SORT, [1]);
+
+    expect(() => decodeCursor(token, 'start_date:desc')).toThrow(BadRequestError);
+    expect(() => decodeCursor(token, 'start_date:desc')).toThrow('Cursor was issued for a different sort order');
+  });
+
+  test.each([
+    ['garbage', 'not-a-cursor'],
+    ['a non-object', Buffer.from('42').toString('base64url')],
+    ['a missing key', Buffer.from(JSON.stringify({ sort: SORT, direction: 'after' })).toString('base64url')],
+    ['an unknown direction', Buffer.from(JSON.stringify({ sort: SORT, key: [1], direction: 'sideways' })).toString('base64url')]
+  ])('reject %s', (description, token) => {
+    expect(() => decodeCursor(token, SORT)).toThrow('Invalid cursor');
+  });
+});
+
+describe('paginateList', () => {
+  const items = [1, 2, 3, 4, 5];
+  const options = { limit: 2, sort: SORT, keyOf: item => [item], compare: (a, b) => a[0] - b[0] };
+  const follow = (token) => decodeCursor(token, SORT);
+
+  test('pages forward and back through a list', () => {
+    const first = paginateList(items, options);
+    expect(first.page).toEqual([1, 2]);
+    expect(first.prevCursor).toBeNull();
+
+    const second = paginateList(items, { ...options, cursor: follow(first.nextCursor) });
+    expect(second.page).toEqual([3, 4]);
+
+    const last = paginateList(items, { ...options, cursor: follow(second.nextCursor) });
+    expect(last.page).toEqual([5]);
+    expect(last.nextCursor).toBeNull();
+
+    const back = paginateList(items, { ...options, cursor: follow(last.prevCursor) });
+    expect(back.page).toEqual([3, 4]);
+    expect(follow(back.nextCursor).key).toEqual([4]);
+  });
+});
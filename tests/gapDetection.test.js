@@ -0,0 +1,84 @@
+const { findGaps, gapSeverity, severityBreakdown } = require('../src/utils/gapDetection');
+
+// Event spanning the given hours of 2024-01-01 (UTC)
+const event = (name, startHour, endHour) => ({
+  name,
+  startDate: new Date(Date.UTC(2024, 0, 1, startHour)).toISOString(),
+  endDate: new Date(Date.UTC(2024, 0, 1, endHour)).toISOString()
+});
+
+// Gaps as [before, after, minutes] for compact assertions
+const summarise = (gaps) => gaps.map(gap => [gap.before.name, gap.after.name, gap.minutes]);
+
+describe('findGaps', () => {
+  test('reports the time between consecutive events', () => {
+    const gaps = findGaps([event('A', 1, 2), event('B', 4, 5), event('C', 6, 7)]);
+
+    expect(summarise(gaps)).toEqual([['A', 'B', 120], ['B', 'C', 60]]);
+    expect(gaps[0].start).toEqual(new Date('2024-01-01T02:00:00Z'));
+    expect(gaps[0].end).toEqual(new Date('2024-01-01T04:00:00Z'));
+  });
+
+  test('ignores input order', () => {
+    const gaps = findGaps([event('C', 6, 7), event('A', 1, 2), event('B', 4, 5)]);
+
+    expect(summarise(gaps)).toEqual([['A', 'B', 120], ['B', 'C', 60]]);
+  });
+
+  test('finds no gap inside overlapping events', () => {
+    const gaps = findGaps([event('A', 1, 4), event('B', 3, 6), event('C', 8, 9)]);
+
+    expect(summarise(gaps)).toEqual([['B', 'C', 120]]);
+  });
+
+  test('opens the gap at the end of the event covering nested ones', () => {
+    const gaps = findGaps([event('A', 1, 10), event('B', 2, 3), event('C', 5, 6), event('D', 12, 13)]);
+
+    expect(summarise(gaps)).toEqual([['A', 'D', 120]]);
+  });
+
+  test('finds no gap between touching events', () => {
+    expect(findGaps([event('A', 1, 2), event('B', 2, 3), event('C', 3, 4)])).toEqual([]);
+  });
+
+  test('prefers the longer of two events starting together', () => {
+    const gaps = findGaps([event('short', 1, 2), event('long', 1, 5), event('B', 6, 7)]);
+
+    expect(summarise(gaps)).toEqual([['long', 'B', 60]]);
+  });
+
+  test('drops gaps shorter than minGapMinutes', () => {
+    const events = [event('A', 1, 2), event('B', 3, 4), event('C', 7, 8)];
+
+    expect(summarise(findGaps(events, { minGapMinutes: 61 }))).toEqual([['B', 'C', 180]]);
+    expect(summarise(findGaps(events, { minGapMinutes: 60 }))).toEqual([['A', 'B', 60], ['B', 'C', 180]]);
+  });
+
+  test('measures gaps with measure, dropping those it measures as zero', () => {
+    const events = [event('A', 1, 2), event('B', 3, 4), event('C', 7, 8)];
+    const measure = (start, end) => (end - start >= 3 * 60 * 60 * 1000 ? 30 : 0);
+
+    const gaps = findGaps(events, { measure });
+
+    expect(summarise(gaps)).toEqual([['B', 'C', 30]]);
+    expect(gaps[0].elapsedMinutes).toBe(180);
+  });
+
+  test('finds nothing without at least two events', () => {
+    expect(findGaps([])).toEqual([]);
+    expect(findGaps([event('A', 1, 2)])).toEqual([]);
+  });
+});
+
+describe('gap severity', () => {
+  test('labels a gap by the first bucket it stays under', () => {
+    expect(gapSeverity(29)).toBe('low');
+    expect(gapSeverity(30)).toBe('medium');
+    expect(gapSeverity(479)).toBe('high');
+    expect(gapSeverity(10000)).toBe('critical');
+  });
+
+  test('counts gaps per label', () => {
+    expect(severityBreakdown([10, 60, 600, 700])).toEqual({ low: 1, medium: 1, high: 0, critical: 2 });
+  });
+});
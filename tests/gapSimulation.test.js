@@ -0,0 +1,98 @@
+const { Event } = require('../src/models/Event');
+const { UnprocessableEntityError } = require('../src/utils/errors');
+const { applyChanges, diffGaps } = require('../src/utils/gapSimulation');
+
+const at = (time) => `2024-01-01T${time}:00.000Z`;
+
+const event = (eventId, start, end) => new Event({ eventId, eventName: eventId, startDate: at(start), endDate: at(end) });
+
+// Gap between two times, as gapsBetween reports it
+const gap = (start, end) => {
+  const gapStart = new Date(at(start));
+  const gapEnd = new Date(at(end));
+  return { gapStart, gapEnd, gapMinutes: (gapEnd - gapStart) / 60000 };
+};
+
+const spans = (events) => events
+  .map(e => [e.eventId, e.startDate.toISOString(), e.endDate.toISOString()])
+  .sort(([a], [b]) => (a < b ? -1 : 1));
+
+describe('applyChanges', () => {
+  const events = [event('a', '09:00', '10:00'), event('b', '11:00', '12:00'), event('c', '13:00', '14:00')];
+  const none = { moves: [], inserts: [], deletions: [] };
+
+  test('moves, inserts and deletes on copies of the events', () => {
+    const proposed = applyChanges(events, {
+      moves: [{ eventId: 'a', endDate: at('10:30') }],
+      inserts: [{ eventId: 'd', eventName: 'D', startDate: at('15:00'), endDate: at('16:00') }],
+      deletions: ['b']
+    });
+
+    expect(spans(proposed)).toEqual([
+      ['a', at('09:00'), at('10:30')],
+      ['c', at('13:00'), at('14:00')],
+      ['d', at('15:00'), at('16:00')]
+    ]);
+    expect(events[0].endDate.toISOString()).toBe(at('10:00'));
+  });
+
+  test('gives inserts without an ID a new one', () => {
+    const proposed = applyChanges(events, {
+      ...none,
+      inserts: [{ eventName: 'New', startDate: at('15:00'), endDate: at('16:00') }]
+    });
+
+    expect(proposed).toHaveLength(4);
+    expect(proposed[3].eventId).toEqual(expect.any(String));
+  });
+
+  test.each([
+    ['events outside the scope', { ...none, deletions: ['x'] }, 'Events outside the simulation scope: x'],
+    ['moving a deleted event', { ...none, moves: [{ eventId: 'a', startDate: at('08:00') }], deletions: ['a'] }, 'cannot be both moved and deleted'],
+    ['moves ending before they start', { ...none, moves: [{ eventId: 'a', startDate: at('10:30') }] }, 'must end after it starts'],
+    ['inserts reusing an ID', { ...none, inserts: [{ eventId: 'b', startDate: at('15:00'), endDate: at('16:00') }] }, 'Inserted event b already exists']
+  ])('rejects %s', (description, changes, message) => {
+    expect(() => applyChanges(events, changes)).toThrow(UnprocessableEntityError);
+    expect(() => applyChanges(events, changes)).toThrow(message);
+  });
+});
+
+describe('diffGaps', () => {
+  test('counts gaps with the same span as unchanged', () => {
+    expect(diffGaps([gap('10:00', '11:00')], [gap('10:00', '11:00')])).toEqual({
+      created: [],
+      eliminated: [],
+      resized: [],
+      unchanged: 1
+    });
+  });
+
+  test('reports gaps overlapping nothing as created or eliminated', () => {
+    const diff = diffGaps([gap('10:00', '11:00')], [gap('12:00', '13:00')]);
+
+    expect(diff.created).toEqual([gap('12:00', '13:00')]);
+    expect(diff.eliminated).toEqual([gap('10:00', '11:00')]);
+    expect(diff.resized).toEqual([]);
+  });
+
+  test('does not treat touching gaps as overlapping', () => {
+    const diff = diffGaps([gap('10:00', '11:00')], [gap('11:00', '12:00')]);
+
+    expect(diff.created).toHaveLength(1);
+    expect(diff.eliminated).toHaveLength(1);
+  });
+
+  test('reports a shrunk gap as resized', () => {
+    expect(diffGaps([gap('10:00', '12:00')], [gap('10:30', '12:00')]).resized).toEqual([
+      { before: gap('10:00', '12:00'), after: gap('10:30', '12:00'), changeMinutes: -30 }
+    ]);
+  });
+
+  test('reports each piece of a split gap', () => {
+    const diff = diffGaps([gap('10:00', '14:00')], [gap('10:00', '11:00'), gap('13:00', '14:00')]);
+
+    expect(diff.resized.map(change => change.changeMinutes)).toEqual([-180, -180]);
+    expect(diff.created).toEqual([]);
+    expect(diff.unchanged).toBe(0);
+  });
+});
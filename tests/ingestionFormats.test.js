@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { getFormat, resolveFormat, readLines } = require('../src/utils/ingestionFormats');
+
+// Text stream delivering the given chunks, like a utf8 file stream
+const streamOf = (...chunks) => Readable.from(chunks, { objectMode: false }).setEncoding('utf8');
+
+// Collect everything a format parses from the given chunks
+const parse = async (formatName, chunks, options) => {
+  const rows = [];
+  for await (const row of getFormat(formatName).parse(streamOf(...chunks), options)) {
+    rows.push(row);
+  }
+  return rows;
+};
+
+describe('format detection', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-formats-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Write a file and resolve its format from its name and first line
+  const formatOf = async (fileName, content, format) => {
+    const filePath = path.join(dir, fileName);
+    fs.writeFileSync(filePath, content);
+    return (await resolveFormat({ format, filePath })).name;
+  };
+
+  test('takes an explicit format over the file', async () => {
+    expect(await formatOf('events.csv', 'a|b|c\n', 'tsv')).toBe('tsv');
+  });
+
+  test('picks the format by extension', async () => {
+    expect(await formatOf('events.json', '[]')).toBe('json');
+    expect(await formatOf('events.jsonl', '{}\n')).toBe('ndjson');
+  });
+
+  test('sniffs the delimiter of delimited files', async () => {
+    expect(await formatOf('comma.csv', 'eventId,eventName,startDate\n')).toBe('csv');
+    expect(await formatOf('pipe.csv', 'eventId|eventName|startDate, with a comma\n')).toBe('pipe');
+    expect(await formatOf('tabs.txt', 'eventId\teventName\tstartDate\n')).toBe('tsv');
+  });
+
+  test('keeps the extension format when no delimiter wins', async () => {
+    expect(await formatOf('single.csv', 'eventId\n')).toBe('csv');
+    expect(await formatOf('tie.tsv', 'a\tb,c\n')).toBe('tsv');
+  });
+
+  test('falls back to pipe for unknown extensions', async () => {
+    expect(await formatOf('events.dat', 'a|b\n')).toBe('pipe');
+  });
+
+  test('rejects unknown format names', async () => {
+    await expect(formatOf('events.csv', 'a,b\n', 'xml')).rejects.toThrow('Unknown ingestion format: xml');
+  });
+});
+
+describe('delimited parsing', () => {
+  test('detects a header row', async () => {
+    const rows = await parse('csv', ['eventId,eventName,extra\n', '1,First,x\n']);
+
+    expect(rows).toEqual([{ lineNumber: 2, record: { eventId: '1', eventName: 'First', extra: 'x' } }]);
+  });
+
+  test('uses the positional columns without a header', async () => {
+    const rows = await parse('pipe', ['1|First|2024-01-01|2024-01-02||Desc\n']);
+
+    expect(rows[0].record).toEqual({
+      eventId: '1',
+      eventName: 'First',
+      startDate: '2024-01-01',
+      endDate: '2024-01-02',
+      parentId: '',
+      description: 'Desc'
+    });
+  });
+
+  test('reports short rows without a header', async () => {
+    const rows = await parse('pipe', ['1|First\n']);
+
+    expect(rows[0].error.code).toBe('MISSING_FIELDS');
+  });
+
+  test('skips blank rows and counts lines across chunks', async () => {
+    const rows = await parse('tsv', ['eventId\tname\n\n', '1\tOne\n2\t', 'Two\n']);
+
+    expect(rows.map(row => [row.lineNumber, row.record.name])).toEqual([[3, 'One'], [4, 'Two']]);
+  });
+});
+
+describe('JSON array streaming', () => {
+  const text = '[\n  {"eventName": "A, with [brackets] and \\"quotes\\""},\n  {"eventName": "B",\n   "metadata": {"tags": ["x", "y"]}}\n]\n';
+
+  test('yields each element with the line it starts on', async () => {
+    const rows = await parse('json', [text]);
+
+    expect(rows).toEqual([
+      { lineNumber: 2, record: { eventName: 'A, with [brackets] and "quotes"' } },
+      { lineNumber: 3, record: { eventName: 'B', metadata: { tags: ['x', 'y'] } } }
+    ]);
+  });
+
+  test('parses the same however the input is chunked', async () => {
+    expect(await parse('json', text.split(''))).toEqual(await parse('json', [text]));
+  });
+
+  test('reports invalid elements and carries on', async () => {
+    const rows = await parse('json', ['[{"a": 1}, {"b": }, {"c": 3}]']);
+
+    expect(rows[0].record).toEqual({ a: 1 });
+    expect(rows[1].error.code).toBe('INVALID_JSON');
+    expect(rows[2].record).toEqual({ c: 3 });
+  });
+
+  test('requires a top-level array', async () => {
+    await expect(parse('json', ['{"a": 1}'])).rejects.toThrow('Expected a JSON array');
+    await expect(parse('json', ['[{"a": 1},'])).rejects.toThrow('Unexpected end of JSON array');
+  });
+});
+
+describe('NDJSON parsing', () => {
+  test('parses one object per line', async () => {
+    const rows = await parse('ndjson', ['{"a": 1}\n\n{"b"', ': 2}\nnot json\n']);
+
+    expect(rows[0]).toEqual({ lineNumber: 1, record: { a: 1 } });
+    expect(rows[1]).toEqual({ lineNumber: 3, record: { b: 2 } });
+    expect(rows[2].lineNumber).toBe(4);
+    expect(rows[2].error.code).toBe('INVALID_JSON');
+  });
+});
+
+describe('readLines', () => {
+  test('splits lines across chunks and keeps a final unterminated line', async () => {
+    const lines = [];
+    for await (const line of readLines(streamOf('a\r\nb', 'c\n', 'd'))) {
+      lines.push(line);
+    }
+
+    expect(lines).toEqual([
+      { lineNumber: 1, text: 'a' },
+      { lineNumber: 2, text: 'bc' },
+      { lineNumber: 3, text: 'd' }
+    ]);
+  });
+});
@@ -0,0 +1,85 @@
+const { metadataFilterSchema, buildMetadataConditions } = require('../src/utils/metadataFilter');
+
+// Build conditions for filters, returning them with the values bound for them
+const build = (filters, column) => {
+  const params = [];
+  const conditions = buildMetadataConditions(filters, (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  }, column);
+  return { conditions, params };
+};
+
+describe('metadata filter conditions', () => {
+  test('match equality through containment', () => {
+    expect(build({ source: 'NASA' })).toEqual({
+      conditions: ['(metadata @> $1::jsonb)'],
+      params: ['{"source":"NASA"}']
+    });
+  });
+
+  test('match numbers and booleans stored as JSON values too', () => {
+    expect(build({ level: '7' }).params).toEqual(['{"level":"7"}', '{"level":7}']);
+    expect(build({ reviewed: { eq: 'true' } }).params).toEqual(['{"reviewed":"true"}', '{"reviewed":true}']);
+    expect(build({ level: '7' }).conditions).toEqual(['(metadata @> $1::jsonb OR metadata @> $2::jsonb)']);
+  });
+
+  test('follow nested paths', () => {
+    expect(build({ 'source.name': 'NASA' }).params).toEqual(['{"source":{"name":"NASA"}}']);
+  });
+
+  test('negate containment for ne', () => {
+    expect(build({ status: { ne: 'draft' } }).conditions).toEqual(['NOT (metadata @> $1::jsonb)']);
+  });
+
+  test('look for the value inside an array for contains', () => {
+    expect(build({ tags: { contains: 'moon' } }).params).toEqual(['{"tags":["moon"]}']);
+  });
+
+  test('test for presence and absence of a key', () => {
+    expect(build({ reviewedBy: { exists: true } })).toEqual({
+      conditions: ['(metadata #> $1::text[]) IS NOT NULL'],
+      params: [['reviewedBy']]
+    });
+    expect(build({ 'a.b': { exists: false } }).conditions).toEqual(['(metadata #> $1::text[]) IS NULL']);
+  });
+
+  test('compare numerically, including numbers stored as strings', () => {
+    const { conditions, params } = build({ researchValue: { gte: 7, lt: 10 } });
+
+    expect(conditions).toHaveLength(2);
+    expect(conditions[0]).toMatch(/THEN \(metadata #>> \$1::text\[\]\)::numeric END\) >= \$2::numeric$/);
+    expect(conditions[1]).toMatch(/END\) < \$4::numeric$/);
+    expect(params).toEqual([['researchValue'], 7, ['researchValue'], 10]);
+  });
+
+  test('apply to another column', () => {
+    expect(build({ source: 'NASA' }, 'e.metadata').conditions).toEqual(['(e.metadata @> $1::jsonb)']);
+  });
+
+  test('are empty without filters', () => {
+    expect(build({})).toEqual({ conditions: [], params: [] });
+  });
+});
+
+describe('metadata filter schema', () => {
+  test('converts operator values', () => {
+    const { value, error } = metadataFilterSchema.validate({ level: { gte: '7' }, reviewed: { exists: 'false' } });
+
+    expect(error).toBeUndefined();
+    expect(value).toEqual({ level: { gte: 7 }, reviewed: { exists: false } });
+  });
+
+  test('defaults to no filters', () => {
+    expect(metadataFilterSchema.validate(undefined).value).toEqual({});
+  });
+
+  test.each([
+    ['an unknown operator', { level: { between: '1' } }],
+    ['a non-numeric comparison', { level: { gt: 'high' } }],
+    ['an empty operator object', { level: {} }],
+    ['a path with SQL characters', { "level'--": 'x' }]
+  ])('rejects %s', (description, filters) => {
+    expect(metadataFilterSchema.validate(filters).error).toBeDefined();
+  });
+});
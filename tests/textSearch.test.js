@@ -0,0 +1,66 @@
+const { buildTsQuery } = require('../src/utils/textSearch');
+
+// Build q, returning the SQL and the values bound for it
+const build = (q) => {
+  const params = [];
+  const sql = buildTsQuery(q, (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  });
+  return { sql, params };
+};
+
+describe('buildTsQuery', () => {
+  test('matches a single word', () => {
+    expect(build('battle')).toEqual({ sql: "plainto_tsquery('english', $1)", params: ['battle'] });
+  });
+
+  test('ANDs terms by default', () => {
+    expect(build('battle river')).toEqual({
+      sql: "(plainto_tsquery('english', $1) && plainto_tsquery('english', $2))",
+      params: ['battle', 'river']
+    });
+  });
+
+  test('ORs the terms on either side of OR', () => {
+    expect(build('battle OR siege river').sql).toBe(
+      "((plainto_tsquery('english', $1) || plainto_tsquery('english', $2)) && plainto_tsquery('english', $3))"
+    );
+  });
+
+  test('matches quoted phrases in order', () => {
+    expect(build('"treaty of paris"')).toEqual({
+      sql: "phraseto_tsquery('english', $1)",
+      params: ['treaty of paris']
+    });
+  });
+
+  test('matches prefixes', () => {
+    expect(build('revol*')).toEqual({ sql: "to_tsquery('english', $1)", params: ['revol:*'] });
+  });
+
+  test('negates words and phrases', () => {
+    expect(build('war -civil -"cold war"')).toEqual({
+      sql: "((plainto_tsquery('english', $1) && (!! plainto_tsquery('english', $2))) && (!! phraseto_tsquery('english', $3)))",
+      params: ['war', 'civil', 'cold war']
+    });
+  });
+
+  test('strips tsquery syntax from words', () => {
+    expect(build("a&b|c:*!(d)'").params).toEqual(['abcd']);
+  });
+
+  test('keeps letters from other scripts', () => {
+    expect(build('Zürich 東京').params).toEqual(['Zürich', '東京']);
+  });
+
+  test.each(['', '   ', '&|!', '""', 'OR'])('returns null for %j', (q) => {
+    expect(build(q)).toEqual({ sql: null, params: [] });
+  });
+
+  test('never puts user text in the SQL', () => {
+    const { sql } = build("'; DROP TABLE HistoricalEvents; --");
+
+    expect(sql).not.toMatch(/DROP/);
+  });
+});
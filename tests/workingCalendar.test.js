@@ -0,0 +1,88 @@
+const { WorkingCalendar } = require('../src/models/WorkingCalendar');
+const { workingMinutesBetween } = require('../src/utils/workingTime');
+
+// Monday 2024-01-08, midnight to midnight UTC
+const MONDAY_START = '2024-01-08T00:00:00Z';
+const MONDAY_END = '2024-01-09T00:00:00Z';
+
+const calendarWithMonday = (monday) => ({
+  timeZone: 'UTC',
+  workingHours: { monday },
+  holidays: []
+});
+
+describe('working calendar periods', () => {
+  test('rejects overlapping periods on the same weekday', () => {
+    const { isValid, error } = WorkingCalendar.validate({
+      name: 'overlapping',
+      workingHours: { monday: [{ start: '09:00', end: '17:00' }, { start: '10:00', end: '12:00' }] }
+    });
+
+    expect(isValid).toBe(false);
+    expect(error).toMatch(/overlapping periods 09:00-17:00 and 10:00-12:00/);
+  });
+
+  test('accepts periods that only touch', () => {
+    const { isValid } = WorkingCalendar.validate({
+      name: 'split-day',
+      workingHours: { monday: [{ start: '13:00', end: '17:00' }, { start: '09:00', end: '13:00' }] }
+    });
+
+    expect(isValid).toBe(true);
+  });
+
+  test('counts the time of overlapping periods once', () => {
+    const calendar = calendarWithMonday([{ start: '09:00', end: '17:00' }, { start: '10:00', end: '12:00' }]);
+
+    expect(workingMinutesBetween(calendar, MONDAY_START, MONDAY_END)).toBe(480);
+  });
+
+  test('counts separate periods in full', () => {
+    const calendar = calendarWithMonday([{ start: '13:00', end: '17:00' }, { start: '09:00', end: '12:00' }]);
+
+    expect(workingMinutesBetween(calendar, MONDAY_START, MONDAY_END)).toBe(420);
+    expect(workingMinutesBetween(calendar, '2024-01-08T11:00:00Z', '2024-01-08T14:00:00Z')).toBe(120);
+  });
+});
+
+describe('workingMinutesBetween', () => {
+  const nineToFive = [{ start: '09:00', end: '17:00' }];
+  const weekdays = (timeZone, holidays = []) => ({
+    timeZone,
+    workingHours: { monday: nineToFive, tuesday: nineToFive, wednesday: nineToFive, thursday: nineToFive, friday: nineToFive },
+    holidays
+  });
+  const sundays = (timeZone) => ({ timeZone, workingHours: { sunday: [{ start: '00:00', end: '24:00' }] }, holidays: [] });
+
+  test('skips weekends', () => {
+    const calendar = weekdays('UTC');
+
+    expect(workingMinutesBetween(calendar, '2024-01-12T16:00:00Z', '2024-01-15T10:00:00Z')).toBe(120);
+    expect(workingMinutesBetween(calendar, '2024-01-13T00:00:00Z', '2024-01-15T00:00:00Z')).toBe(0);
+    expect(workingMinutesBetween(calendar, MONDAY_START, '2024-01-22T00:00:00Z')).toBe(10 * 480);
+  });
+
+  test('skips holidays on their date in the calendar time zone', () => {
+    const start = '2024-01-09T00:00:00Z';
+    const end = '2024-01-10T00:00:00Z';
+
+    expect(workingMinutesBetween(weekdays('America/New_York'), start, end)).toBe(480);
+    expect(workingMinutesBetween(weekdays('America/New_York', ['2024-01-09']), start, end)).toBe(0);
+  });
+
+  test('counts whole weeks over a year, less weekday holidays', () => {
+    const calendar = weekdays('Europe/London', ['2024-12-25', '2024-12-28']);
+
+    expect(workingMinutesBetween(calendar, '2024-01-01T00:00:00Z', '2025-01-06T00:00:00Z')).toBe(53 * 5 * 480 - 480);
+  });
+
+  test('follows the wall clock across daylight saving changes', () => {
+    expect(workingMinutesBetween(weekdays('Europe/London'), '2024-03-29T00:00:00Z', '2024-04-02T00:00:00Z')).toBe(960);
+    expect(workingMinutesBetween(weekdays('Europe/London'), '2024-04-01T08:00:00Z', '2024-04-01T09:00:00Z')).toBe(60);
+  });
+
+  test('counts the real length of daylight saving days', () => {
+    expect(workingMinutesBetween(sundays('Europe/London'), '2024-03-30T00:00:00Z', '2024-04-02T00:00:00Z')).toBe(23 * 60);
+    expect(workingMinutesBetween(sundays('Europe/London'), '2024-10-26T00:00:00Z', '2024-10-29T00:00:00Z')).toBe(25 * 60);
+  });
+});